@@ -0,0 +1,354 @@
+#!/usr/bin/env node
+/* vim: set ts=8 sts=8 sw=8 noet: */
+
+'use strict';
+
+/*
+ * Populate a local store, for use with the files backend (LOCAL_STORE), with
+ * the public issues from JIRA.  Each issue is written to "issue/<id>.json" and
+ * its remote links to "remotelink/<id>.json".
+ *
+ * The "updated" time of the most recently updated issue is recorded in
+ * "mirror.json" in the store.  Subsequent runs only look at issues which have
+ * been updated since then, which includes issues that have stopped being
+ * public; these are removed from the store.  A full run (the first run, or
+ * when "-f" is passed) fetches every public issue and removes anything else
+ * from the store.
+ */
+
+var mod_assert = require('assert-plus');
+var mod_bunyan = require('bunyan');
+var mod_fs = require('fs');
+var mod_path = require('path');
+var mod_vasync = require('vasync');
+var mod_verror = require('verror');
+
+var lib_backend_jira = require('./lib/backend_jira');
+
+var VE = mod_verror.VError;
+
+var LOG = mod_bunyan.createLogger({
+	name: 'jiramirror',
+	level: process.env.LOG_LEVEL || mod_bunyan.INFO
+});
+
+/*
+ * JIRA only allows us to search by update time with a resolution of one
+ * minute, so we look a little further back than strictly necessary.  Issues
+ * which are fetched twice are simply written again.
+ */
+var OVERLAP_MINUTES = 2;
+
+
+function
+usage()
+{
+	console.error('usage: %s [-f] DIRECTORY',
+	    mod_path.basename(process.argv[1]));
+	process.exit(2);
+}
+
+function
+read_config(log)
+{
+	var p = mod_path.join(__dirname, 'config.json');
+	var c;
+
+	try {
+		c = JSON.parse(mod_fs.readFileSync(p, 'utf8'));
+
+		var CHECK = [ 'username', 'password', 'url', 'label' ];
+		for (var i = 0; i < CHECK.length; i++) {
+			mod_assert.ok(c[CHECK[i]], 'config.' + CHECK[i]);
+		}
+		mod_assert.string(c.url.base, 'config.url.base');
+		mod_assert.string(c.url.path, 'config.url.path');
+	} catch (ex) {
+		log.error(ex, 'configuration validation failed');
+		process.exit(1);
+	}
+
+	return (c);
+}
+
+/*
+ * Write a file in the store such that a concurrent reader (e.g., a running
+ * files backend) will see either the old or the new contents, but never a
+ * partially written file.
+ */
+function
+write_json(path, obj)
+{
+	var tmp = path + '.' + process.pid + '.tmp';
+
+	mod_fs.writeFileSync(tmp, JSON.stringify(obj, null, 4) + '\n');
+	mod_fs.renameSync(tmp, path);
+}
+
+function
+unlink_if_exists(path)
+{
+	try {
+		mod_fs.unlinkSync(path);
+	} catch (ex) {
+		if (ex.code !== 'ENOENT') {
+			throw (ex);
+		}
+		return (false);
+	}
+
+	return (true);
+}
+
+function
+read_state(dir)
+{
+	var path = mod_path.join(dir, 'mirror.json');
+
+	try {
+		return (JSON.parse(mod_fs.readFileSync(path, 'utf8')));
+	} catch (ex) {
+		if (ex.code === 'ENOENT') {
+			return ({});
+		}
+
+		throw (new VE(ex, 'could not parse "%s"', path));
+	}
+}
+
+function
+mirror_issue(opts, key, done)
+{
+	var be = opts.be;
+	var dir = opts.dir;
+	var issue;
+
+	mod_vasync.waterfall([ function get_issue(next) {
+		be.be_issue_get(key, function (err, _issue) {
+			if (err && VE.info(err).notfound) {
+				opts.log.warn(err, 'issue disappeared');
+				done();
+				return;
+			}
+			if (err) {
+				next(err);
+				return;
+			}
+
+			issue = _issue;
+			next();
+		});
+	}, function get_remotelinks(next) {
+		be.be_remotelink_get(issue.key, issue.id, next);
+	}, function write_files(links, next) {
+		if (issue.fields.labels.indexOf(opts.label) === -1) {
+			/*
+			 * The issue stopped being public between the search
+			 * and our request for the whole issue.
+			 */
+			remove_issue(opts, issue.id, issue.key);
+			next();
+			return;
+		}
+
+		write_json(mod_path.join(dir, 'remotelink', issue.id + '.json'),
+		    links);
+		write_json(mod_path.join(dir, 'issue', issue.id + '.json'),
+		    issue);
+
+		opts.log.info({ issue: issue.key, issue_id: issue.id },
+		    'mirrored issue');
+		opts.stats.written++;
+		next();
+	} ], function (err) {
+		if (err) {
+			done(new VE(err, 'mirror issue "%s"', key));
+			return;
+		}
+
+		done();
+	});
+}
+
+function
+remove_issue(opts, id, key)
+{
+	var dir = opts.dir;
+
+	if (unlink_if_exists(mod_path.join(dir, 'issue', id + '.json'))) {
+		opts.log.info({ issue: key, issue_id: id },
+		    'removed non-public issue');
+		opts.stats.removed++;
+	}
+	unlink_if_exists(mod_path.join(dir, 'remotelink', id + '.json'));
+	unlink_if_exists(mod_path.join(dir, 'comment', id + '.json'));
+}
+
+/*
+ * After a full run, remove any issue from the store which was not in the list
+ * of public issues.
+ */
+function
+prune_issues(opts, seen)
+{
+	var ents = mod_fs.readdirSync(mod_path.join(opts.dir, 'issue'));
+
+	for (var i = 0; i < ents.length; i++) {
+		var m = ents[i].match(/^(.+)\.json$/);
+
+		if (m === null || seen[m[1]]) {
+			continue;
+		}
+
+		remove_issue(opts, m[1], null);
+	}
+}
+
+function
+mirror(opts, done)
+{
+	var state = read_state(opts.dir);
+	var full = opts.full || !state.last_updated;
+	var labels = [];
+	var minutes = null;
+	var offset = 0;
+	var total = null;
+	var seen = {};
+
+	if (full) {
+		labels.push(opts.label);
+	} else {
+		/*
+		 * For an incremental run, we look at every recently updated
+		 * issue, not just the public ones, so that we notice issues
+		 * that are no longer public.
+		 */
+		minutes = (Date.now() - Date.parse(state.last_updated)) /
+		    60000 + OVERLAP_MINUTES;
+	}
+
+	opts.log.info({ full: full, since: state.last_updated || null },
+	    'mirror starting');
+
+	mod_vasync.whilst(function () {
+		return (total === null || offset < total);
+	}, function mirror_page(next) {
+		opts.be.be_issue_list_updated(labels, minutes,
+		    offset, function (err, results) {
+			if (err) {
+				next(err);
+				return;
+			}
+
+			total = results.total;
+			offset += results.issues.length;
+			if (results.issues.length === 0) {
+				/*
+				 * Issues may have disappeared from the end of
+				 * the list while we were paging through it.
+				 */
+				total = offset;
+			}
+
+			mod_vasync.forEachPipeline({ inputs: results.issues,
+			    func: function (ri, cb) {
+				seen[ri.id] = true;
+
+				if (ri.fields.labels.indexOf(opts.label) ===
+				    -1) {
+					remove_issue(opts, ri.id, ri.key);
+					setImmediate(cb);
+					return;
+				}
+
+				mirror_issue(opts, ri.key, cb);
+			} }, function (_err) {
+				if (_err) {
+					next(_err);
+					return;
+				}
+
+				/*
+				 * Results are sorted by update time, so
+				 * everything up to the end of this page is
+				 * now in the store.
+				 */
+				var last = results.issues[
+				    results.issues.length - 1];
+				if (last && last.fields.updated) {
+					state.last_updated =
+					    last.fields.updated;
+					write_json(mod_path.join(opts.dir,
+					    'mirror.json'), state);
+				}
+
+				next();
+			});
+		});
+	}, function (err) {
+		if (err) {
+			done(err);
+			return;
+		}
+
+		if (full) {
+			prune_issues(opts, seen);
+		}
+
+		opts.log.info({
+			full: full,
+			examined: offset,
+			written: opts.stats.written,
+			removed: opts.stats.removed,
+			last_updated: state.last_updated || null
+		}, 'mirror complete');
+
+		done();
+	});
+}
+
+function
+main()
+{
+	var args = process.argv.slice(2);
+	var full = false;
+
+	if (args[0] === '-f') {
+		full = true;
+		args.shift();
+	}
+	if (args.length !== 1 || args[0][0] === '-') {
+		usage();
+	}
+
+	var dir = args[0];
+	var config = read_config(LOG);
+
+	[ 'issue', 'remotelink' ].forEach(function (type) {
+		var path = mod_path.join(dir, type);
+
+		if (!mod_fs.existsSync(path)) {
+			mod_fs.mkdirSync(path);
+		}
+	});
+
+	var opts = {
+		be: lib_backend_jira.jira_backend_init(config, LOG),
+		dir: dir,
+		full: full,
+		label: config.label,
+		log: LOG,
+		stats: { written: 0, removed: 0 }
+	};
+
+	mirror(opts, function (err) {
+		if (err) {
+			LOG.error(err, 'mirror failed');
+			process.exit(1);
+		}
+
+		process.exit(0);
+	});
+}
+
+main();
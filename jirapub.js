@@ -10,12 +10,21 @@ var mod_fs = require('fs');
 var mod_jiramark = require('jiramark');
 var mod_path = require('path');
 var mod_ent = require('ent');
-var mod_url = require('url');
+var mod_querystring = require('querystring');
 var mod_vasync = require('vasync');
 var mod_verror = require('verror');
 
 var lib_backend_jira = require('./lib/backend_jira');
 var lib_backend_files = require('./lib/backend_files');
+var lib_backend_cache = require('./lib/backend_cache');
+var lib_backend_multi = require('./lib/backend_multi');
+var lib_facets = require('./lib/facets');
+var lib_scrub = require('./lib/scrub');
+var lib_graph = require('./lib/graph');
+var lib_rewrite = require('./lib/rewrite');
+var lib_linkpolicy = require('./lib/linkpolicy');
+var lib_config = require('./lib/config');
+var lib_metrics = require('./lib/metrics');
 
 var VE = mod_verror.VError;
 
@@ -37,6 +46,16 @@ var ISSUE_OBJECT_KEYS = [
 	'id',
 	'name',
 	'description',
+	'key'
+];
+
+/*
+ * The properties we preserve for people; e.g., the reporter of an issue, or
+ * the author of a comment.  These are further subject to the "redaction"
+ * policy in the configuration; see redact_person().
+ */
+var PERSON_OBJECT_KEYS = [
+	'name',
 	'key',
 	'emailAddress',
 	'displayName'
@@ -55,21 +74,125 @@ var RELEASE_OBJECT_KEYS = [
 	'releaseDate'
 ];
 
+/*
+ * The history of an issue only includes changes to these fields, which are
+ * mapped to the name we display for each ("hf_name") and the issue field
+ * the change applies to ("hf_field").  As with ISSUE_OBJECT_KEYS, we only
+ * preserve the properties of each change listed in HISTORY_ITEM_KEYS.
+ */
+var HISTORY_FIELDS = {
+	'status': { hf_name: 'Status', hf_field: 'status' },
+	'resolution': { hf_name: 'Resolution', hf_field: 'resolution' },
+	'Fix Version': { hf_name: 'Fix Version', hf_field: 'fixVersions' },
+	'labels': { hf_name: 'Labels', hf_field: 'labels' }
+};
+var HISTORY_ITEM_KEYS = [
+	'fromString',
+	'toString'
+];
+
+/*
+ * Matches embedded images in JIRA markup, e.g., "!screenshot.png!" or
+ * "!screenshot.png|thumbnail!".
+ */
+var EMBED_RE = /^!([^!|\s][^!|]*)(\|[^!]*)?!/;
+
+/*
+ * Attachments of these MIME types can contain script (e.g., an SVG image), so
+ * they are not matched by a wildcard in the "attachments" configuration, and
+ * are never displayed inline.
+ */
+var ACTIVE_MIME_TYPES = [
+	'image/svg+xml'
+];
+
+/*
+ * Matches issue keys mentioned in the text of a description or comment.  We
+ * look up at most MAX_MENTIONED_ISSUES distinct keys for each issue.
+ */
+var MENTION_RE = /\b[A-Z]+-[0-9]+\b/g;
+var MAX_MENTIONED_ISSUES = 100;
+
+/*
+ * Defaults for the "graph" configuration: how many links from the requested
+ * issue the graph extends by default, and at most; and the maximum number of
+ * issues we will look at to construct the graph.
+ */
+var GRAPH_DEFAULTS = {
+	default_depth: 2,
+	max_depth: 4,
+	max_issues: 100
+};
+
 var TEMPLATES = {};
 var TEMPLATE_RE = /%%([^%]*)%%/g;
 
+/*
+ * Search queries are broken up into terms, each of which must appear in an
+ * issue for it to match.  We limit the number of terms in a single query to
+ * keep the resultant JQL a reasonable size.
+ */
+var MAX_SEARCH_TERMS = 10;
+
+/*
+ * The headings used for each facet in the issue index.  Some facets (e.g.,
+ * "fixVersion") can have a great many values, so we show only the most
+ * common ones.
+ */
+var FACET_NAMES = {
+	status: 'Status',
+	resolution: 'Resolution',
+	issuetype: 'Issue Type',
+	fixVersion: 'Fix Version'
+};
+var FACET_MAX_OPTIONS = 20;
+
+/*
+ * Changes to these configuration properties are only picked up when the
+ * server is restarted.  Everything else is reloaded on SIGHUP.  The public
+ * "label" is among them because each backend is given it (as part of its
+ * configuration) when it is created.
+ */
+var RESTART_PROPERTIES = [
+	'url',
+	'username',
+	'password',
+	'label',
+	'port',
+	'http_proto',
+	'cache',
+	'epic_link_field',
+	'backends',
+	'metrics'
+];
+
 var UNRESTRICTED = false;
-var CONFIG = read_config(LOG);
+var CONFIG;
 
-var ALLOWED_DOMAINS = CONFIG.allowed_domains;
-var ALLOWED_LABELS = CONFIG.allowed_labels;
+var ALLOWED_LABELS;
+var ALLOWED_PROJECTS;
+var REDACTION;
 
 var BACKEND;
 var SERVER; // eslint-disable-line
 
-var JIRA_OPS = {
-	formatLink: format_remote_link
-};
+/*
+ * The readiness check probes each backend in this list, which has the name of
+ * each backend and the backend itself, beneath any cache.  A backend which
+ * does not answer within READY_TIMEOUT_MS is reported as failing.
+ */
+var READY_CHECKS = [];
+var READY_TIMEOUT_MS = 5000;
+
+/*
+ * The results of the readiness checks are reused for READY_CACHE_MS, so that
+ * frequent requests do not each search every JIRA server.  "READY_RESULTS" is
+ * the most recent result (or null), with the time it was produced, and
+ * "READY_WAITERS" the callbacks for a set of checks that are in progress.
+ */
+var READY_CACHE_MS = 10000;
+var READY_RESULTS = null;
+var READY_WAITERS = null;
 
 /*
  * Initialisation Routines:
@@ -93,31 +216,182 @@ read_templates(log)
 	}
 }
 
+/*
+ * Read and validate the configuration file.  Returns the parsed configuration
+ * and a list of every problem found with it.
+ */
 function
-read_config(log)
+load_config()
 {
 	var p = mod_path.join(__dirname, 'config.json');
-	var f = mod_fs.readFileSync(p, 'utf8');
-	var c = JSON.parse(f);
+	var c;
 
 	try {
-		var CHECK = [ 'username', 'password', 'url', 'label', 'port',
-		    'http_proto' ];
-		for (var i = 0; i < CHECK.length; i++) {
-			mod_assert.ok(c[CHECK[i]], 'config.' + CHECK[i]);
-		}
-		mod_assert.string(c.url.base, 'config.url.base');
-		mod_assert.string(c.url.path, 'config.url.path');
-		mod_assert.arrayOfString(c.allowed_domains,
-		    'config.allowed_domains');
-		mod_assert.arrayOfString(c.allowed_labels,
-		    'config.allowed_labels');
+		c = JSON.parse(mod_fs.readFileSync(p, 'utf8'));
 	} catch (ex) {
-		log.error(ex, 'configuration validation failed');
+		return ({ config: null, errors: [ p + ': ' + ex.message ] });
+	}
+
+	return ({ config: c, errors: lib_config.config_validate(c) });
+}
+
+/*
+ * Each project may be served by only one of the additional backends, and each
+ * backend needs a distinct name, as it is reported in the JSON for an issue.
+ */
+function
+check_backends(backends)
+{
+	var names = { 'default': true };
+	var projects = {};
+
+	backends.forEach(function (b, idx) {
+		var pfx = 'backends[' + idx + ']';
+
+		if (names[b.name]) {
+			throw (new VE('%s.name: "%s" is already in use', pfx,
+			    b.name));
+		}
+		names[b.name] = true;
+
+		b.projects.forEach(function (project) {
+			if (projects[project]) {
+				throw (new VE('%s.projects: "%s" is already ' +
+				    'served by backend "%s"', pfx, project,
+				    projects[project]));
+			}
+			projects[project] = b.name;
+		});
+	});
+}
+
+/*
+ * Put the policy settings from a validated configuration into effect.  Some
+ * problems (e.g., a regular expression which does not compile) are only found
+ * at this point; a list of these is returned.  If there are any, the settings
+ * may have been partly applied, and the caller should apply a known good
+ * configuration instead.
+ */
+function
+apply_config(c)
+{
+	var errors = [];
+
+	/*
+	 * Errors from the URL rewriting and link policy modules begin with
+	 * the name of the field, but those from the scrubber do not.
+	 */
+	function attempt(prefix, func) {
+		try {
+			func();
+		} catch (ex) {
+			errors.push(prefix + ex.message);
+		}
+	}
+
+	attempt('config.', function () {
+		check_backends(c.backends || []);
+	});
+	attempt('config.', function () {
+		lib_rewrite.rewrite_init(c.url_rewrites);
+	});
+	attempt('config.', function () {
+		lib_linkpolicy.link_policy_init(c.link_policy,
+		    c.allowed_domains);
+	});
+	attempt('config.scrub: ', function () {
+		lib_scrub.scrub_init(c.scrub || { rules: [] });
+	});
+
+	if (errors.length === 0) {
+		ALLOWED_LABELS = c.allowed_labels;
+		ALLOWED_PROJECTS = c.allowed_projects || [];
+		REDACTION = c.redaction || {};
+	}
+
+	return (errors);
+}
+
+function
+read_config(log)
+{
+	var lc = load_config();
+
+	if (lc.errors.length === 0) {
+		lc.errors = apply_config(lc.config);
+	}
+
+	if (lc.errors.length > 0) {
+		log.error({ errors: lc.errors },
+		    'configuration validation failed');
+		process.exit(1);
+	}
+
+	return (lc.config);
+}
+
+/*
+ * Re-read the configuration file, and put any changes to the policy settings
+ * (e.g., "allowed_labels") into effect.  Requests in progress are unaffected.
+ * If there is any problem with the new configuration, we keep the current one.
+ */
+function
+reload_config(log)
+{
+	var lc = load_config();
+
+	if (lc.errors.length === 0) {
+		lc.errors = apply_config(lc.config);
+
+		if (lc.errors.length > 0) {
+			var restored = apply_config(CONFIG);
+			mod_assert.strictEqual(restored.length, 0,
+			    'restored configuration is valid');
+		}
+	}
+
+	if (lc.errors.length > 0) {
+		log.error({ errors: lc.errors }, 'configuration reload ' +
+		    'failed; keeping current configuration');
+		return;
+	}
+
+	RESTART_PROPERTIES.forEach(function (k) {
+		if (JSON.stringify(lc.config[k]) !==
+		    JSON.stringify(CONFIG[k])) {
+			log.warn({ property: k }, 'configuration change ' +
+			    'requires a restart to take effect');
+		}
+
+		lc.config[k] = CONFIG[k];
+	});
+
+	CONFIG = lc.config;
+
+	log.info('configuration reloaded');
+}
+
+/*
+ * Validate the configuration file and report any problems, for use before
+ * deploying a new configuration.
+ */
+function
+check_config()
+{
+	var lc = load_config();
+
+	if (lc.errors.length === 0) {
+		lc.errors = apply_config(lc.config);
+	}
+
+	if (lc.errors.length > 0) {
+		lc.errors.forEach(function (e) {
+			console.error('%s', e);
+		});
 		process.exit(1);
 	}
 
-	return (c);
+	console.log('configuration ok');
 }
 
 function
@@ -141,13 +415,66 @@ create_http_server(log, callback)
 		res.send(302);
 		next(false);
 	});
+	s.get('/bugview/_health', handle_health);
+	s.get('/bugview/_ready', handle_ready.bind(null, false));
 	s.get('/bugview/index.html', handle_issue_index.bind(null, 'html'));
 	s.get('/bugview/index.json', handle_issue_index.bind(null, 'json'));
+	s.get('/bugview/index.atom', handle_issue_index.bind(null, 'atom'));
+	s.get('/bugview/index.rss', handle_issue_index.bind(null, 'rss'));
+	s.get(/^\/bugview\/label\/([^/]+)\.atom$/,
+	    handle_label_index.bind(null, 'atom'));
+	s.get(/^\/bugview\/label\/([^/]+)\.rss$/,
+	    handle_label_index.bind(null, 'rss'));
 	s.get('/bugview/label/:key', handle_label_index.bind(null, 'html'));
+	s.get(/^\/bugview\/project\/([^/]+)\.json$/,
+	    handle_project_index.bind(null, 'json'));
+	s.get('/bugview/project/:project',
+	    handle_project_index.bind(null, 'html'));
+	s.get('/bugview/search', handle_search.bind(null, 'html'));
+	s.get('/bugview/search.json', handle_search.bind(null, 'json'));
+	s.get(/^\/bugview\/version\/([^/]+)\.md$/,
+	    handle_version.bind(null, 'md'));
+	s.get(/^\/bugview\/version\/([^/]+)\.txt$/,
+	    handle_version.bind(null, 'txt'));
+	s.get(/^\/bugview\/version\/([^/]+)\.json$/,
+	    handle_version.bind(null, 'json'));
+	s.get('/bugview/version/:name', handle_version.bind(null, 'html'));
+	s.get(/^\/bugview\/epic\/([A-Z]+-[0-9]+)\.json$/,
+	    handle_epic.bind(null, 'json'));
+	s.get('/bugview/epic/:key', handle_epic.bind(null, 'html'));
 	s.get('/bugview/json/:key', handle_issue_json);
 	s.get('/bugview/fulljson/:key', handle_issue.bind(null, 'json'));
+	s.get('/bugview/:key/attachment/:id', handle_attachment);
+	s.get('/bugview/:key/history', handle_issue_history.bind(null, 'html'));
+	s.get('/bugview/:key/history.json',
+	    handle_issue_history.bind(null, 'json'));
+	s.get('/bugview/:key/graph', handle_issue_graph.bind(null, 'html'));
+	s.get('/bugview/:key/graph.json',
+	    handle_issue_graph.bind(null, 'json'));
+	s.get('/bugview/:key/graph.dot', handle_issue_graph.bind(null, 'dot'));
+	s.get('/bugview/:key/graph.svg', handle_issue_graph.bind(null, 'svg'));
 	s.get('/bugview/:key', handle_issue.bind(null, 'html'));
 
+	/*
+	 * The metrics reveal the names of the backends and how they are
+	 * faring, so they are only served alongside the public pages if the
+	 * configuration asks for that explicitly.
+	 */
+	if (CONFIG.metrics && CONFIG.metrics.public === true) {
+		s.get('/metrics', handle_metrics);
+	}
+
+	s.on('after', function (req, res, route) {
+		var labels = { route: route_label(route) };
+
+		lib_metrics.metrics_observe(
+		    'bugview_http_request_duration_seconds', labels,
+		    lib_metrics.metrics_elapsed(req.time()));
+
+		labels.code = res.statusCode;
+		lib_metrics.metrics_inc('bugview_http_requests_total', labels);
+	});
+
 	s.on('uncaughtException', function (req, res, _route, err) {
 		req.log.error(err, 'uncaught exception!');
 	});
@@ -166,6 +493,215 @@ create_http_server(log, callback)
 	});
 }
 
+/*
+ * If an admin port is configured, "/metrics" and the detailed readiness
+ * checks are served there, away from the public pages.
+ */
+function
+create_admin_server(log)
+{
+	var s = mod_restify.createServer({
+		name: 'jirapub-admin',
+		log: log.child({
+			component: 'admin'
+		})
+	});
+
+	s.get('/metrics', handle_metrics);
+	s.get('/bugview/_ready', handle_ready.bind(null, true));
+
+	s.listen(CONFIG.metrics.port, function (err) {
+		if (err) {
+			log.error(err, 'admin http listen error');
+			process.exit(1);
+		}
+
+		log.info({
+			port: CONFIG.metrics.port
+		}, 'admin http listening');
+	});
+}
+
+/*
+ * Metrics:
+ */
+
+function
+define_metrics()
+{
+	lib_metrics.metrics_counter('bugview_http_requests_total',
+	    'HTTP requests, by route and status code.');
+	lib_metrics.metrics_histogram('bugview_http_request_duration_seconds',
+	    'Time taken to respond to HTTP requests, by route.');
+	lib_metrics.metrics_counter('bugview_nonpublic_issue_requests_total',
+	    'Requests refused because the issue is not public, by route.');
+	lib_metrics.metrics_counter('bugview_markup_fallbacks_total',
+	    'Issue text which jiramark could not convert, and which was ' +
+	    'formatted with the fallback formatter instead.');
+	lib_metrics.metrics_inc('bugview_markup_fallbacks_total', {}, 0);
+}
+
+/*
+ * Routes are identified in the metrics by the path with which they were
+ * registered (e.g., "/bugview/:key"), so that the number of series does not
+ * grow with the number of issues.
+ */
+function
+route_label(route)
+{
+	if (!route || !route.spec) {
+		return ('none');
+	}
+
+	return (String(route.spec.path));
+}
+
+function
+count_nonpublic(req)
+{
+	lib_metrics.metrics_inc('bugview_nonpublic_issue_requests_total', {
+		route: req.route ? String(req.route.path) : 'none'
+	});
+}
+
+function
+handle_metrics(req, res, next)
+{
+	var out = lib_metrics.metrics_format();
+
+	res.header('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+	res.contentLength = Buffer.byteLength(out);
+
+	res.writeHead(200);
+	res.write(out);
+	res.end();
+
+	next();
+}
+
+/*
+ * Health Checks:
+ */
+
+/*
+ * The process is alive if it can answer at all.
+ */
+function
+handle_health(req, res, next)
+{
+	res.header('Cache-Control', 'no-cache');
+	res.send(200, {
+		status: 'ok',
+		uptime_seconds: Math.floor(process.uptime())
+	});
+	next();
+}
+
+function
+run_ready_check(log, check, callback)
+{
+	var start = Date.now();
+	var finished = false;
+	var timer;
+
+	function finish(err, info) {
+		if (finished) {
+			return;
+		}
+		finished = true;
+		clearTimeout(timer);
+
+		var out = {
+			name: check.name,
+			type: check.backend.be_name,
+			status: err ? 'failed' : 'ok',
+			latency_ms: Date.now() - start
+		};
+
+		if (err) {
+			/*
+			 * The error may name internal hosts, so it is only
+			 * logged.
+			 */
+			log.warn({ err: err, check: check.name },
+			    'readiness check failed');
+		} else {
+			out.issues = info.issues;
+		}
+
+		callback(out);
+	}
+
+	timer = setTimeout(function () {
+		finish(new VE('no response after %d ms', READY_TIMEOUT_MS));
+	}, READY_TIMEOUT_MS);
+
+	check.backend.be_probe(finish);
+}
+
+/*
+ * Run every readiness check, or reuse the results of a recent (or current)
+ * run.  The callback is passed the result of each check.
+ */
+function
+ready_checks(log, callback)
+{
+	if (READY_RESULTS !== null &&
+	    Date.now() - READY_RESULTS.rr_time < READY_CACHE_MS) {
+		setImmediate(callback, READY_RESULTS.rr_checks);
+		return;
+	}
+
+	if (READY_WAITERS !== null) {
+		READY_WAITERS.push(callback);
+		return;
+	}
+
+	READY_WAITERS = [ callback ];
+	mod_vasync.forEachParallel({ inputs: READY_CHECKS,
+	    func: function (check, done) {
+		run_ready_check(log, check, function (out) {
+			done(null, out);
+		});
+	} }, function (_err, results) {
+		var waiters = READY_WAITERS;
+
+		READY_RESULTS = {
+			rr_time: Date.now(),
+			rr_checks: results.successes
+		};
+		READY_WAITERS = null;
+
+		waiters.forEach(function (w) {
+			w(READY_RESULTS.rr_checks);
+		});
+	});
+}
+
+/*
+ * We are ready to take traffic if every backend answers a cheap request.  The
+ * result of each check, with the name and type of each backend, is only
+ * included ("detail") on the admin port, as with the metrics.
+ */
+function
+handle_ready(detail, req, res, next)
+{
+	ready_checks(req.log, function (checks) {
+		var ok = checks.every(function (c) {
+			return (c.status === 'ok');
+		});
+		var out = { status: ok ? 'ok' : 'unavailable' };
+
+		if (detail) {
+			out.checks = checks;
+		}
+
+		res.header('Cache-Control', 'no-cache');
+		res.send(ok ? 200 : 503, out);
+		next();
+	});
+}
+
 /*
  * Route Handlers:
  */
@@ -217,6 +753,18 @@ format_primary(title, content)
 	return (format_template('primary', keys));
 }
 
+/*
+ * Construct the absolute URL of a page on the public bugview site, for use in
+ * places (e.g., the JSON API and feeds) where a relative link will not do.
+ */
+function
+public_url(path)
+{
+	mod_assert.string(path, 'path');
+
+	return (CONFIG.http_proto + '://smartos.org/bugview/' + path);
+}
+
 /*
  * Check whether a label is one of the ones we're allowed to display.
  */
@@ -226,64 +774,490 @@ is_allowed_label(label)
 	return (ALLOWED_LABELS.indexOf(label) !== -1);
 }
 
-
+/*
+ * Returns the configuration of the backend which serves an issue: one of the
+ * "backends" if the project of the issue is listed there, or otherwise the
+ * top-level configuration of the primary backend.
+ */
 function
-handle_issue_index(format, req, res, next)
+backend_config(key)
 {
-	var log = req.log.child({
-		remoteAddress: req.socket.remoteAddress,
-		remotePort: req.socket.remotePort,
-		userAgent: req.headers['user-agent'],
-		referrer: req.headers['referrer'],
-		forwardedFor: req.headers['x-forwarded-for'],
-		issue_index: true
-	});
+	mod_assert.string(key, 'key');
 
-	make_issue_index(log, format, UNRESTRICTED ? null : CONFIG.label, req,
-	    res, next);
-}
+	var project = lib_facets.issue_project(key);
+	var backends = CONFIG.backends || [];
+
+	for (var i = 0; i < backends.length; i++) {
+		if (backends[i].projects.indexOf(project) !== -1) {
+			return (backends[i]);
+		}
+	}
 
+	return (CONFIG);
+}
 
 function
-handle_label_index(format, req, res, next)
+backend_name(key)
 {
-	var log = req.log.child({
+	var bc = backend_config(key);
+
+	return (bc === CONFIG ? 'default' : bc.name);
+}
+
+/*
+ * Issue keys in links, mentions and the like refer to issues on the same
+ * server as the issue in which they appear.  When several backends are
+ * configured, a key whose project is served by another backend names some
+ * unrelated issue there, so it must not be looked up.
+ */
+function
+same_backend(key, other)
+{
+	return (backend_config(key) === backend_config(other));
+}
+
+/*
+ * Check whether an issue carries the label which marks it as public on the
+ * backend from which it came.
+ */
+function
+is_public_issue(issue)
+{
+	if (UNRESTRICTED) {
+		return (true);
+	}
+
+	return (issue.fields.labels.indexOf(backend_config(issue.key).label) !==
+	    -1);
+}
+
+/*
+ * A label index may show the issues with a single label, or a selection of
+ * several labels.  In the URL, labels separated by "+" must all be present on
+ * an issue (e.g., "bhyve+lx"), while labels separated by "," are alternatives
+ * (e.g., "bhyve,lx").  The two forms cannot be mixed.  Returns null if the
+ * selection is not valid.
+ */
+function
+parse_label_selection(str)
+{
+	mod_assert.string(str, 'str');
+
+	var op = 'and';
+	var sep = '+';
+	if (str.indexOf(',') !== -1) {
+		if (str.indexOf('+') !== -1) {
+			return (null);
+		}
+		op = 'or';
+		sep = ',';
+	}
+
+	var labels = str.split(sep);
+	for (var i = 0; i < labels.length; i++) {
+		if (labels[i] === '') {
+			return (null);
+		}
+	}
+
+	return ({
+		op: op,
+		labels: labels.filter(function (label, idx) {
+			return (labels.indexOf(label) === idx);
+		})
+	});
+}
+
+/*
+ * Produce the URL path component for a label selection.
+ */
+function
+label_selection_path(sel)
+{
+	return (sel.labels.join(sel.op === 'or' ? ',' : '+'));
+}
+
+/*
+ * Produce a description of a label selection for display, e.g., "bhyve AND
+ * lx".
+ */
+function
+label_selection_text(sel)
+{
+	return (sel.labels.join(sel.op === 'or' ? ' OR ' : ' AND '));
+}
+
+
+function
+handle_issue_index(format, req, res, next)
+{
+	var log = req.log.child({
 		remoteAddress: req.socket.remoteAddress,
 		remotePort: req.socket.remotePort,
 		userAgent: req.headers['user-agent'],
 		referrer: req.headers['referrer'],
 		forwardedFor: req.headers['x-forwarded-for'],
-		label: req.params.key
+		issue_index: true
 	});
+
+	make_issue_index(log, format, null, null, req, res, next);
+}
+
+
+function
+handle_label_index(format, req, res, next)
+{
+	/*
+	 * The feed routes are regular expressions, which provide the label as
+	 * the first capture group rather than a named parameter.  Unlike named
+	 * parameters, capture groups are not decoded for us.
+	 */
 	var label = req.params.key;
+	if (format !== 'html') {
+		try {
+			label = decodeURIComponent(req.params[0]);
+		} catch (_ex) {
+			label = '';
+		}
+	}
+	var log = req.log.child({
+		remoteAddress: req.socket.remoteAddress,
+		remotePort: req.socket.remotePort,
+		userAgent: req.headers['user-agent'],
+		referrer: req.headers['referrer'],
+		forwardedFor: req.headers['x-forwarded-for'],
+		label: label
+	});
 
-	if (!UNRESTRICTED && !is_allowed_label(label)) {
-		log.error({label: label}, 'request for non-public label');
-		res.send(403, 'Sorry, this label does not exist.\n');
+	var sel = parse_label_selection(label);
+	if (sel === null) {
+		log.error({label: label}, 'invalid label selection');
+		res.send(400, 'Sorry, labels may be combined with either ' +
+		    '"+" or ",", but not both.\n');
 		next(false);
 		return;
 	}
 
-	make_issue_index(log, format, label, req, res, next);
+	for (var i = 0; i < sel.labels.length; i++) {
+		if (!UNRESTRICTED && !is_allowed_label(sel.labels[i])) {
+			log.error({label: sel.labels[i]},
+			    'request for non-public label');
+			res.send(403, 'Sorry, this label does not exist.\n');
+			next(false);
+			return;
+		}
+	}
+
+	make_issue_index(log, format, sel, null, req, res, next);
 }
 
+function
+is_allowed_project(project)
+{
+	return (ALLOWED_PROJECTS.indexOf(project) !== -1);
+}
 
 function
-make_issue_index(log, format, label, req, res, next)
+handle_project_index(format, req, res, next)
 {
-	var offset;
+	/*
+	 * As with the label feeds, the JSON route is a regular expression,
+	 * and the capture group is not decoded for us.
+	 */
+	var project = req.params.project;
+	if (format !== 'html') {
+		try {
+			project = decodeURIComponent(req.params[0]);
+		} catch (_ex) {
+			project = '';
+		}
+	}
+	var log = req.log.child({
+		remoteAddress: req.socket.remoteAddress,
+		remotePort: req.socket.remotePort,
+		userAgent: req.headers['user-agent'],
+		referrer: req.headers['referrer'],
+		forwardedFor: req.headers['x-forwarded-for'],
+		project: project
+	});
+
+	if (!project || !project.match(/^[A-Z]+$/)) {
+		log.error({ project: project }, 'invalid project provided');
+		res.send(400);
+		next(false);
+		return;
+	}
+
+	if (!UNRESTRICTED && !is_allowed_project(project)) {
+		log.error({ project: project },
+		    'request for non-public project');
+		res.send(403, 'Sorry, this project does not exist.\n');
+		next(false);
+		return;
+	}
+
+	make_issue_index(log, format, null, project, req, res, next);
+}
+
+/*
+ * Construct the list of projects that may be browsed, with the current
+ * project (if any) in bold.
+ */
+function
+format_project_index(project)
+{
+	if (ALLOWED_PROJECTS.length === 0) {
+		return ('');
+	}
+
+	return ('<p><b>Browse by project:</b> ' +
+	    ALLOWED_PROJECTS.map(function (p) {
+		var text = p === project ? '<b>' + p + '</b>' : p;
+
+		return ('<a href="/bugview/project/' + p + '">' + text +
+		    '</a>');
+	}).join(', ') + '</p>');
+}
 
-	mod_assert.ok(label === CONFIG.label ||
-	    is_allowed_label(label) ||
-	    UNRESTRICTED);
+
+/*
+ * The largest offset into a paginated list of issues.  Lists merged from
+ * several backends are much more expensive to page through, and are limited
+ * further.
+ */
+function
+max_offset()
+{
+	if (CONFIG.backends) {
+		return (lib_backend_multi.MULTI_MAX_OFFSET);
+	}
+
+	return (10000000);
+}
+
+/*
+ * Read the "offset" query parameter for a paginated list of issues, rounding
+ * it down to the start of a page.
+ */
+function
+parse_offset(req)
+{
+	var offset;
 
 	if (req.query && req.query.offset) {
 		offset = parseInt(req.query.offset, 10);
 	}
-	if (!offset || isNaN(offset) || offset < 0 || offset > 10000000) {
+	if (!offset || isNaN(offset) || offset < 0) {
 		offset = 0;
 	}
-	offset = Math.floor(offset / 50) * 50;
+	offset = Math.min(offset, max_offset());
+
+	return (Math.floor(offset / 50) * 50);
+}
+
+/*
+ * Read the facet filters for an issue index from the query parameters, which
+ * have the same names as the facets.
+ */
+function
+parse_filters(req)
+{
+	var filters = {};
+
+	lib_facets.FACETS.forEach(function (facet) {
+		var v = req.query ? req.query[facet] : undefined;
+
+		if (typeof (v) === 'string' && v !== '' && v.length <= 100) {
+			filters[facet] = v;
+		}
+	});
+
+	return (filters);
+}
+
+/*
+ * Produce the summary of an issue, as returned in a list from the backend,
+ * that we expose in the JSON issue index.
+ */
+function
+format_issue_summary(ri)
+{
+	return ({
+		id: ri.id,
+		key: ri.key,
+		backend: backend_name(ri.key),
+		synopsis: ri.fields.summary,
+		resolution: ri.fields.resolution ?
+		    ri.fields.resolution.name : null,
+		updated: ri.fields.updated,
+		created: ri.fields.created
+	});
+}
+
+/*
+ * Render a row of the issue index table for each issue in a list returned
+ * from the backend.
+ */
+function
+format_issue_rows(issues)
+{
+	var tbody = '';
+
+	for (var i = 0; i < issues.length; i++) {
+		var issue = issues[i];
+		var resolution = '&nbsp';
+
+		if (issue.fields.resolution &&
+		    issue.fields.resolution.name) {
+			resolution = issue.fields.resolution.name;
+		}
+
+		tbody += [
+			'<tr><td>',
+			'<a href="/bugview/' + issue.key + '">',
+			issue.key,
+			'</a>',
+			'</td><td>',
+			resolution,
+			'</td><td>',
+			issue.fields.summary,
+			'</td></tr>'
+		].join('') + '\n';
+	}
+
+	return (tbody);
+}
+
+/*
+ * Render the facet filter controls for an issue index.  Each option links to
+ * the same index with that filter applied (or removed, for "any"), and shows
+ * the number of matching issues.  The "params" object contains the query
+ * parameters for the current view of the index.
+ */
+function
+format_facets(page, params, facets)
+{
+	mod_assert.string(page, 'page');
+	mod_assert.object(params, 'params');
+	mod_assert.optionalObject(facets, 'facets');
+
+	function make_href(facet, value) {
+		var q = {};
+
+		Object.keys(params).forEach(function (k) {
+			if (k !== facet) {
+				q[k] = params[k];
+			}
+		});
+		if (value !== null) {
+			q[facet] = value;
+		}
+
+		return (mod_ent.encode(page + '?' +
+		    mod_querystring.stringify(q)));
+	}
+
+	function make_option(facet, value, text) {
+		var selected = (value === null) ? params[facet] === undefined :
+		    params[facet] === value;
+
+		text = mod_ent.encode(text);
+		if (selected) {
+			text = '<b>' + text + '</b>';
+		}
+
+		return ('<a href="' + make_href(facet, value) + '">' + text +
+		    '</a>');
+	}
+
+	var out = [];
+
+	lib_facets.FACETS.forEach(function (facet) {
+		var counts = facets !== null ? facets.counts[facet] : {};
+		var values = Object.keys(counts).sort(function (a, b) {
+			if (counts[a] !== counts[b]) {
+				return (counts[b] - counts[a]);
+			}
+
+			return (a < b ? -1 : a > b ? 1 : 0);
+		}).slice(0, FACET_MAX_OPTIONS);
+
+		if (params[facet] !== undefined &&
+		    values.indexOf(params[facet]) === -1) {
+			values.unshift(params[facet]);
+		}
+
+		if (values.length === 0) {
+			return;
+		}
+
+		var opts = [ make_option(facet, null, 'any') ];
+		values.forEach(function (v) {
+			opts.push(make_option(facet, v, v) + ' (' +
+			    (counts[v] || 0) + ')');
+		});
+
+		out.push('<p><b>' + FACET_NAMES[facet] + ':</b> ' +
+		    opts.join(' | ') + '</p>');
+	});
+
+	if (facets !== null && !facets.complete) {
+		out.push('<p><i>Counts are based on a subset of the ' +
+		    facets.total + ' matching issues.</i></p>');
+	}
+
+	return (out.join('\n'));
+}
+
+/*
+ * Construct paginated navigation links for a list of issues.  The "page" is
+ * the (relative) URL of the list, and "params" contains any query parameters
+ * other than "offset" that must be preserved between pages.
+ */
+function
+format_pagination(page, params, offset, total)
+{
+	function make_href(o) {
+		var q = { offset: o };
+
+		Object.keys(params).forEach(function (k) {
+			q[k] = params[k];
+		});
+
+		return (page + '?' + mod_querystring.stringify(q));
+	}
+
+	var pagin = [];
+	pagin.push('<a href="' + make_href(0) + '">First Page</a>');
+	if (offset > 0) {
+		pagin.push('<a href="' + make_href(Math.max(offset - 50, 0)) +
+		    '">Previous Page</a>');
+	}
+	if (total) {
+		var count = Math.min(50, total - offset);
+		pagin.push('Displaying from ' + offset + ' to ' +
+		    (count + offset) + ' of ' + total);
+	}
+	if ((offset + 50) <= total && (offset + 50) <= max_offset()) {
+		pagin.push('<a href="' + make_href(offset + 50) +
+		    '">Next Page</a>');
+	}
+
+	return (pagin.join(' | '));
+}
+
+function
+make_issue_index(log, format, sel, project, req, res, next)
+{
+	mod_assert.ok(sel === null ||
+	    sel.labels.every(is_allowed_label) ||
+	    UNRESTRICTED);
+	mod_assert.ok(sel === null || project === null,
+	    'label selection and project are exclusive');
+	mod_assert.ok(project === null || is_allowed_project(project) ||
+	    UNRESTRICTED);
+
+	var offset = parse_offset(req);
 
 	var valid_sorts = [ 'key', 'created', 'updated' ];
 	var sort = 'updated';
@@ -291,20 +1265,102 @@ make_issue_index(log, format, label, req, res, next)
 		sort = req.query.sort;
 	}
 
+	/*
+	 * Feeds always contain the most recently updated issues.
+	 */
+	var feed = (format === 'atom' || format === 'rss');
+	if (feed) {
+		offset = 0;
+		sort = 'updated';
+	}
+
+	var filters = parse_filters(req);
+
+	/*
+	 * The project is passed to the backend along with the filters, but
+	 * is otherwise kept separate; e.g., it is part of the path in links
+	 * rather than a query parameter.
+	 */
+	var bfilters = {};
+	Object.keys(filters).forEach(function (k) {
+		bfilters[k] = filters[k];
+	});
+	if (project !== null) {
+		bfilters.project = project;
+	}
+
 	var labels = [];
 	if (!UNRESTRICTED) {
 		labels.push(CONFIG.label);
 	}
-	if (label !== null && labels.indexOf(label) === -1) {
-		labels.push(label);
+	if (sel !== null && sel.op === 'or' && sel.labels.length > 1) {
+		labels.push(sel.labels);
+	} else if (sel !== null) {
+		sel.labels.forEach(function (label) {
+			if (labels.indexOf(label) === -1) {
+				labels.push(label);
+			}
+		});
+	}
+
+	/*
+	 * The relative URL of this index, for use in links and redirects.
+	 */
+	var page = 'index.html';
+	if (sel !== null) {
+		page = label_selection_path(sel);
+	} else if (project !== null) {
+		page = project;
 	}
 
 	log.info({
 		labels: labels,
+		filters: bfilters,
 		offset: offset
 	}, 'fetch from %s', BACKEND.be_name);
 
-	BACKEND.be_issue_list(labels, offset, sort, function (err, results) {
+	var results;
+	var facets = null;
+
+	mod_vasync.parallel({ funcs: [ function fetch_list(done) {
+		BACKEND.be_issue_list(labels, bfilters, offset, sort,
+		    function (err, _results) {
+			results = _results;
+			done(err);
+		});
+	}, function fetch_facets(done) {
+		if (format !== 'html') {
+			setImmediate(done);
+			return;
+		}
+
+		BACKEND.be_issue_facets(labels, bfilters,
+		    function (err, _facets) {
+			if (err) {
+				/*
+				 * The index is still useful without the
+				 * facet counts, so we press on.
+				 */
+				log.warn(err, 'could not count facets');
+			} else {
+				facets = _facets;
+			}
+			done();
+		});
+	} ] }, function (err) {
+		if (err && VE.info(err).badquery &&
+		    Object.keys(filters).length > 0) {
+			/*
+			 * The only part of the query taken from the request
+			 * is the filters, so one of them must name a value
+			 * which does not exist.
+			 */
+			log.error(err, 'invalid filters provided');
+			res.send(400,
+			    'Sorry, there is no such filter value.\n');
+			next(false);
+			return;
+		}
 		if (err) {
 			log.error(err, 'error communicating with JIRA');
 			res.send(500);
@@ -314,7 +1370,6 @@ make_issue_index(log, format, label, req, res, next)
 
 		var total = Number(results.total) || 10000000;
 		var out;
-		var i;
 
 		if (offset > total && format === 'html') {
 			var x = Math.max(total - 50, 0);
@@ -323,7 +1378,7 @@ make_issue_index(log, format, label, req, res, next)
 				total: total,
 				redir_offset: x
 			}, 'redirecting to last page');
-			res.header('Location', 'index.html?offset=' + x);
+			res.header('Location', page + '?offset=' + x);
 			res.send(302);
 			next(false);
 			return;
@@ -335,28 +1390,40 @@ make_issue_index(log, format, label, req, res, next)
 			format: format
 		}, 'serving issue index');
 
-		if (format !== 'html') {
-			var resout = {
-				offset: offset,
-				total: total,
-				sort: sort,
-				issues: []
-			};
+		if (feed) {
+			out = format_feed(format, sel, results.issues);
 
-			for (i = 0; i < results.issues.length; i++) {
-				var ri = results.issues[i];
+			/*
+			 * Deliver response to client:
+			 */
+			res.contentType = format === 'atom' ?
+			    'application/atom+xml' : 'application/rss+xml';
+			res.contentLength = Buffer.byteLength(out);
+
+			res.writeHead(200);
+			res.write(out);
+			res.end();
+
+			next();
+			return;
+		}
+
+		if (format !== 'html') {
+			var resout = {
+				offset: offset,
+				total: total,
+				sort: sort,
+				filters: filters,
+				issues: []
+			};
 
-				resout.issues.push({
-					id: ri.id,
-					key: ri.key,
-					synopsis: ri.fields.summary,
-					resolution: ri.fields.resolution ?
-					    ri.fields.resolution.name : null,
-					updated: ri.fields.updated,
-					created: ri.fields.created
-				});
+			if (project !== null) {
+				resout.project = project;
 			}
 
+			resout.issues = results.issues.map(
+			    format_issue_summary);
+
 			out = JSON.stringify(resout, null, 4);
 
 			/*
@@ -365,96 +1432,1159 @@ make_issue_index(log, format, label, req, res, next)
 			res.contentType = 'application/json';
 			res.contentLength = out.length;
 
-			res.writeHead(200);
-			res.write(out);
-			res.end();
+			res.writeHead(200);
+			res.write(out);
+			res.end();
+
+			next();
+			return;
+		}
+
+		/*
+		 * Construct Issue Index table:
+		 */
+		var labeltxt = '';
+		if (sel !== null) {
+			labeltxt = ': ' + label_selection_text(sel);
+		} else if (project !== null) {
+			labeltxt = ': project ' + project;
+		}
+		var labelidx = ALLOWED_LABELS.map(function make_link(_label) {
+			return make_label_link(_label, sel !== null &&
+			    sel.labels.indexOf(_label) !== -1);
+		}).join(', ');
+
+		var params = { sort: sort };
+		Object.keys(filters).forEach(function (k) {
+			params[k] = filters[k];
+		});
+
+		var feedbase = sel !== null ? label_selection_path(sel) :
+		    'index';
+		var feedqs = mod_querystring.stringify(filters);
+		if (feedqs !== '') {
+			feedqs = mod_ent.encode('?' + feedqs);
+		}
+		var feeds = '<p><b>Feeds:</b> ' + [
+			'<a href="' + feedbase + '.atom' + feedqs +
+			    '">Atom</a>',
+			'<a href="' + feedbase + '.rss' + feedqs + '">RSS</a>'
+		].join(' | ') + '</p>';
+
+		/*
+		 * There are no feeds for individual projects.
+		 */
+		if (project !== null) {
+			feeds = '';
+		}
+
+		var container = format_template('issue_index', {
+			LABEL: labeltxt,
+			LABEL_INDEX: labelidx,
+			PROJECT_INDEX: format_project_index(project),
+			FACETS: format_facets(page, params, facets),
+			FEEDS: feeds,
+			PAGINATION: format_pagination(page, params,
+			    offset, total),
+			TABLE_BODY: format_issue_rows(results.issues)
+		});
+
+		/*
+		 * Construct page from primary template and our table:
+		 */
+		out = format_primary('SmartOS Public Issues Index', container);
+
+		/*
+		 * Deliver response to client:
+		 */
+		res.contentType = 'text/html';
+		res.contentLength = out.length;
+
+		res.writeHead(200);
+		res.write(out);
+		res.end();
+
+		next();
+		return;
+	});
+}
+
+/*
+ * Break a search query into the lower case alphanumeric terms used by the
+ * backends.  This must match the way the files backend indexes issue text.
+ */
+function
+search_terms(query)
+{
+	var terms = query.toLowerCase().match(/[a-z0-9]+/g) || [];
+
+	return (terms.filter(function (term, idx) {
+		return (terms.indexOf(term) === idx);
+	}).slice(0, MAX_SEARCH_TERMS));
+}
+
+function
+handle_search(format, req, res, next)
+{
+	var log = req.log.child({
+		remoteAddress: req.socket.remoteAddress,
+		remotePort: req.socket.remotePort,
+		userAgent: req.headers['user-agent'],
+		referrer: req.headers['referrer'],
+		forwardedFor: req.headers['x-forwarded-for'],
+		search: true
+	});
+
+	var query = '';
+	if (req.query && typeof (req.query.q) === 'string') {
+		query = req.query.q.trim();
+	}
+	var terms = search_terms(query);
+	var offset = parse_offset(req);
+
+	var labels = [];
+	if (!UNRESTRICTED) {
+		labels.push(CONFIG.label);
+	}
+
+	function deliver(err, results) {
+		if (err) {
+			log.error(err, 'error communicating with JIRA');
+			res.send(500);
+			next(false);
+			return;
+		}
+
+		var total = Number(results.total) || 0;
+		var out;
+
+		log.info({
+			terms: terms,
+			offset: offset,
+			total: total,
+			format: format
+		}, 'serving search results');
+
+		if (format !== 'html') {
+			out = JSON.stringify({
+				offset: offset,
+				total: total,
+				query: query,
+				issues: results.issues.map(format_issue_summary)
+			}, null, 4);
+
+			/*
+			 * Deliver response to client:
+			 */
+			res.contentType = 'application/json';
+			res.contentLength = Buffer.byteLength(out);
+
+			res.writeHead(200);
+			res.write(out);
+			res.end();
+
+			next();
+			return;
+		}
+
+		var pagin = '';
+		if (terms.length > 0) {
+			pagin = format_pagination('search', { q: query },
+			    offset, total);
+		}
+
+		var container = format_template('search', {
+			QUERY: mod_ent.encode(query),
+			PAGINATION: pagin,
+			TABLE_BODY: format_issue_rows(results.issues)
+		});
+
+		out = format_primary('SmartOS Public Issues Search', container);
+
+		/*
+		 * Deliver response to client:
+		 */
+		res.contentType = 'text/html';
+		res.contentLength = Buffer.byteLength(out);
+
+		res.writeHead(200);
+		res.write(out);
+		res.end();
+
+		next();
+	}
+
+	if (terms.length === 0) {
+		/*
+		 * Without any search terms, there is nothing to look up.
+		 * Present an empty result list so that the HTML view can
+		 * display the search form.
+		 */
+		setImmediate(deliver, null, { total: 0, issues: [] });
+		return;
+	}
+
+	log.info({
+		labels: labels,
+		terms: terms,
+		offset: offset
+	}, 'search from %s', BACKEND.be_name);
+
+	BACKEND.be_issue_search(labels, terms, offset, deliver);
+}
+
+/*
+ * Issue keys are ordered by project, and then by issue number.
+ */
+function
+compare_issue_keys(a, b)
+{
+	var ma = a.match(/^(.*)-([0-9]+)$/);
+	var mb = b.match(/^(.*)-([0-9]+)$/);
+
+	if (ma === null || mb === null) {
+		return (a < b ? -1 : a > b ? 1 : 0);
+	}
+
+	if (ma[1] !== mb[1]) {
+		return (ma[1] < mb[1] ? -1 : 1);
+	}
+
+	return (Number(ma[2]) - Number(mb[2]));
+}
+
+/*
+ * Find the details of a release (e.g., the release date) from the fix
+ * versions of the issues in that release.
+ */
+function
+release_info(version, issues)
+{
+	var fv = null;
+
+	for (var i = 0; i < issues.length && fv === null; i++) {
+		var fvs = issues[i].fields.fixVersions || [];
+
+		for (var j = 0; j < fvs.length; j++) {
+			if (fvs[j].name === version) {
+				fv = fvs[j];
+				break;
+			}
+		}
+	}
+
+	if (fv === null) {
+		return ({ name: version });
+	}
+
+	var t = {};
+	RELEASE_OBJECT_KEYS.forEach(function (k) {
+		if (fv[k]) {
+			t[k] = fv[k];
+		}
+	});
+
+	return (t);
+}
+
+/*
+ * Group the issues in a release or an epic by issue type.
+ */
+function
+release_groups(issues)
+{
+	var groups = {};
+
+	issues.forEach(function (issue) {
+		var type = (issue.fields.issuetype &&
+		    issue.fields.issuetype.name) || 'Other';
+
+		if (!groups.hasOwnProperty(type)) {
+			groups[type] = [];
+		}
+		groups[type].push(issue);
+	});
+
+	return (Object.keys(groups).sort().map(function (type) {
+		return ({
+			type: type,
+			issues: groups[type].sort(function (a, b) {
+				return (compare_issue_keys(a.key, b.key));
+			})
+		});
+	}));
+}
+
+/*
+ * Escape the characters that are meaningful in Markdown inline text.
+ */
+function
+markdown_escape(str)
+{
+	return (str.replace(/([\\`*_[\]<>])/g, '\\$1'));
+}
+
+function
+format_release_markdown(release, groups)
+{
+	var out = [ '# Release ' + markdown_escape(release.name), '' ];
+
+	if (release.releaseDate) {
+		out.push('Release date: ' + release.releaseDate, '');
+	}
+
+	groups.forEach(function (g) {
+		out.push('## ' + markdown_escape(g.type), '');
+		g.issues.forEach(function (issue) {
+			out.push('- [' + issue.key + '](' +
+			    public_url(issue.key) + '): ' +
+			    markdown_escape(issue.fields.summary || ''));
+		});
+		out.push('');
+	});
+
+	return (out.join('\n'));
+}
+
+function
+format_release_text(release, groups)
+{
+	var out = [ 'Release ' + release.name ];
+	var width = 0;
+
+	if (release.releaseDate) {
+		out.push('Release date: ' + release.releaseDate);
+	}
+	out.push('');
+
+	groups.forEach(function (g) {
+		g.issues.forEach(function (issue) {
+			width = Math.max(width, issue.key.length);
+		});
+	});
+
+	groups.forEach(function (g) {
+		out.push(g.type + ':');
+		g.issues.forEach(function (issue) {
+			out.push('    ' + issue.key + repeat_char(' ',
+			    width - issue.key.length + 2) +
+			    (issue.fields.summary || ''));
+		});
+		out.push('');
+	});
+
+	return (out.join('\n'));
+}
+
+function
+format_release_html(release, groups, results)
+{
+	var base = '/bugview/version/' + encodeURIComponent(release.name);
+	var note = '';
+
+	if (!results.complete) {
+		note = '<p><i>Only the first ' + results.issues.length +
+		    ' of ' + results.total + ' issues are listed.</i></p>';
+	}
+
+	return (format_template('version', {
+		VERSION: mod_ent.encode(release.name),
+		RELEASE_DATE: release.releaseDate ?
+		    '<b>Release Date:</b> ' +
+		    mod_ent.encode(release.releaseDate) : '',
+		EXPORTS: [
+			'<a href="' + base + '.md">Markdown</a>',
+			'<a href="' + base + '.txt">Text</a>',
+			'<a href="' + base + '.json">JSON</a>'
+		].join(', '),
+		NOTE: note,
+		GROUPS: format_issue_groups(groups)
+	}));
+}
+
+/*
+ * Render a table of issues for each group returned by release_groups().
+ */
+function
+format_issue_groups(groups)
+{
+	return (groups.map(function (g) {
+		return ([
+			'<h2>' + mod_ent.encode(g.type) + '</h2>',
+			'<table class="table">',
+			'<thead><tr>',
+			'<th><b>Issue</b></th>',
+			'<th><b>Resolution</b></th>',
+			'<th><b>Synopsis</b></th>',
+			'</tr></thead>',
+			'<tbody>',
+			format_issue_rows(g.issues),
+			'</tbody>',
+			'</table>'
+		].join('\n'));
+	}).join('\n'));
+}
+
+function
+format_epic_html(epic, groups, results)
+{
+	var note = '';
+
+	if (results.issues.length === 0) {
+		note = '<p>There are no public issues in this epic.</p>';
+	} else if (!results.complete) {
+		note = '<p><i>Only the first ' + results.issues.length +
+		    ' of ' + results.total + ' issues are listed.</i></p>';
+	}
+
+	return (format_template('epic', {
+		KEY: epic.key,
+		SUMMARY: epic.fields.summary,
+		STATUS: (epic.fields.status && epic.fields.status.name) ||
+		    'Unknown',
+		EXPORTS: '<a href="/bugview/epic/' + epic.key +
+		    '.json">JSON</a>',
+		NOTE: note,
+		GROUPS: format_issue_groups(groups)
+	}));
+}
+
+function
+format_epic_json(epic, groups, results)
+{
+	var f = epic.fields;
+
+	return (JSON.stringify({
+		epic: {
+			key: epic.key,
+			summary: f.summary,
+			status: f.status ? f.status.name : null,
+			resolution: f.resolution ? f.resolution.name : null
+		},
+		total: results.total,
+		complete: results.complete,
+		groups: groups.map(function (g) {
+			return ({
+				type: g.type,
+				issues: g.issues.map(format_issue_summary)
+			});
+		})
+	}, null, 4));
+}
+
+/*
+ * List every public issue in an epic, grouped by issue type.
+ */
+function
+handle_epic(format, req, res, next)
+{
+	/*
+	 * The JSON route is a regular expression, so the key is in the
+	 * capture group.  We copy it so that redirect_moved_issue() can
+	 * compare it with the key of the issue we retrieve.
+	 */
+	if (format === 'json') {
+		req.params.key = req.params[0];
+	}
+
+	var log = req.log.child({
+		remoteAddress: req.socket.remoteAddress,
+		remotePort: req.socket.remotePort,
+		userAgent: req.headers['user-agent'],
+		referrer: req.headers['referrer'],
+		forwardedFor: req.headers['x-forwarded-for'],
+		issue: req.params.key
+	});
+
+	if (!req.params.key || !req.params.key.match(/^[A-Z]+-[0-9]+$/)) {
+		log.error({ key: req.params.key }, 'invalid "key" provided');
+		res.send(400);
+		next(false);
+		return;
+	}
+
+	BACKEND.be_issue_get_brief(req.params.key, function (err, epic) {
+		if (err) {
+			if (VE.info(err).notfound) {
+				log.error(err, 'could not find issue');
+				res.send(404,
+				    'Sorry, that issue does not exist.\n');
+				next(false);
+				return;
+			}
+			log.error(err, 'error communicating with JIRA');
+			res.send(500);
+			next(false);
+			return;
+		}
+
+		mod_assert.arrayOfString(epic.fields.labels, 'labels');
+
+		if (!is_public_issue(epic)) {
+			log.error('request for non-public epic');
+			count_nonpublic(req);
+			res.send(403, 'Sorry, this issue is not public.\n');
+			next(false);
+			return;
+		}
+
+		if (redirect_moved_issue(log, req, res, next, epic,
+		    '/bugview/epic/' + epic.key +
+		    (format === 'json' ? '.json' : ''))) {
+			return;
+		}
+
+		if (!is_epic(epic)) {
+			res.send(404, 'Sorry, that issue is not an epic.\n');
+			next(false);
+			return;
+		}
+
+		var labels = [];
+		if (!UNRESTRICTED) {
+			labels.push(CONFIG.label);
+		}
+
+		BACKEND.be_issue_list_epic(labels, epic.key,
+		    function (_err, results) {
+			if (_err) {
+				log.error(_err, 'error communicating ' +
+				    'with JIRA');
+				res.send(500);
+				next(false);
+				return;
+			}
+
+			if (!results.complete) {
+				log.warn({ total: results.total,
+				    listed: results.issues.length },
+				    'epic has too many issues to list');
+			}
+
+			log.info({ total: results.total }, 'serving epic');
+
+			var groups = release_groups(results.issues);
+			var out, type;
+
+			if (format === 'json') {
+				out = format_epic_json(epic, groups, results);
+				type = 'application/json';
+			} else {
+				out = format_primary(format_issue_title(epic) +
+				    ' (Epic)', format_epic_html(epic, groups,
+				    results));
+				type = 'text/html';
+			}
+
+			res.header('Content-Type', type);
+			res.contentLength = Buffer.byteLength(out);
+
+			res.writeHead(200);
+			res.write(out);
+			res.end();
+
+			next();
+		});
+	});
+}
+
+/*
+ * List every public issue with a particular fix version, grouped by issue
+ * type, as a page or as release notes.
+ */
+function
+handle_version(format, req, res, next)
+{
+	/*
+	 * As with the label feeds, the export routes are regular
+	 * expressions, and the capture group is not decoded for us.
+	 */
+	var name = req.params.name;
+	if (format !== 'html') {
+		try {
+			name = decodeURIComponent(req.params[0]);
+		} catch (_ex) {
+			name = '';
+		}
+	}
+	var log = req.log.child({
+		remoteAddress: req.socket.remoteAddress,
+		remotePort: req.socket.remotePort,
+		userAgent: req.headers['user-agent'],
+		referrer: req.headers['referrer'],
+		forwardedFor: req.headers['x-forwarded-for'],
+		version: name
+	});
+
+	if (!name || name.length > 100) {
+		log.error({ version: name }, 'invalid version provided');
+		res.send(400);
+		next(false);
+		return;
+	}
+
+	var labels = [];
+	if (!UNRESTRICTED) {
+		labels.push(CONFIG.label);
+	}
+
+	BACKEND.be_issue_list_version(labels, name, function (err, results) {
+		if (err && VE.info(err).badquery) {
+			/*
+			 * JIRA rejects a query for a version that does not
+			 * exist.
+			 */
+			log.error(err, 'could not find version');
+			res.send(404, 'Sorry, that release does not exist.\n');
+			next(false);
+			return;
+		}
+		if (err) {
+			log.error(err, 'error communicating with JIRA');
+			res.send(500);
+			next(false);
+			return;
+		}
+
+		if (results.issues.length === 0) {
+			res.send(404, 'Sorry, there are no public issues in ' +
+			    'that release.\n');
+			next(false);
+			return;
+		}
+
+		if (!results.complete) {
+			log.warn({ total: results.total,
+			    listed: results.issues.length },
+			    'release has too many issues to list');
+		}
+
+		log.info({ total: results.total }, 'serving release');
+
+		var release = release_info(name, results.issues);
+		var groups = release_groups(results.issues);
+		var out, type;
+
+		switch (format) {
+		case 'md':
+			out = format_release_markdown(release, groups);
+			type = 'text/markdown; charset=utf-8';
+			break;
+
+		case 'txt':
+			out = format_release_text(release, groups);
+			type = 'text/plain; charset=utf-8';
+			break;
+
+		case 'json':
+			out = JSON.stringify({
+				release: release,
+				total: results.total,
+				complete: results.complete,
+				groups: groups.map(function (g) {
+					return ({
+						type: g.type,
+						issues: g.issues.map(
+						    format_issue_summary)
+					});
+				})
+			}, null, 4);
+			type = 'application/json';
+			break;
+
+		default:
+			out = format_primary('Release ' + mod_ent.encode(name),
+			    format_release_html(release, groups, results));
+			type = 'text/html';
+			break;
+		}
+
+		res.header('Content-Type', type);
+		res.contentLength = Buffer.byteLength(out);
+
+		res.writeHead(200);
+		res.write(out);
+		res.end();
+
+		next();
+	});
+}
+
+/*
+ * When an issue moves to another project, JIRA still returns the issue if it
+ * is requested by its old key, but with the new key.  Rather than serve the
+ * issue under the old key, redirect the client to "path", the same page for
+ * the current key.  Returns true if a redirect was sent.
+ */
+function
+redirect_moved_issue(log, req, res, next, issue, path)
+{
+	if (issue.key === req.params.key) {
+		return (false);
+	}
+
+	log.info({ canonical_key: issue.key, location: path },
+	    'redirecting to current key of moved issue');
+	res.header('Location', path);
+	res.send(301);
+	next(false);
+	return (true);
+}
+
+function
+handle_issue_json(req, res, next)
+{
+	var log = req.log.child({
+		remoteAddress: req.socket.remoteAddress,
+		remotePort: req.socket.remotePort,
+		userAgent: req.headers['user-agent'],
+		referrer: req.headers['referrer'],
+		forwardedFor: req.headers['x-forwarded-for'],
+		issue: req.params.key
+	});
+
+	if (!req.params.key || !req.params.key.match(/^[A-Z]+-[0-9]+$/)) {
+		log.error({ key: req.params.key }, 'invalid "key" provided');
+		res.send(400);
+		next(false);
+		return;
+	}
+
+	BACKEND.be_issue_get(req.params.key, function (err, issue) {
+		if (err) {
+			if (VE.info(err).notfound) {
+				log.error(err, 'could not find issue');
+				res.send(404);
+				next(false);
+				return;
+			}
+			log.error(err, 'error communicating with JIRA');
+			res.send(500);
+			next(false);
+			return;
+		}
+
+		mod_assert.arrayOfString(issue.fields.labels, 'labels');
+
+		if (!is_public_issue(issue)) {
+			log.error('request for non-public issue');
+			count_nonpublic(req);
+			res.send(403);
+			next(false);
+			return;
+		}
+
+		if (redirect_moved_issue(log, req, res, next, issue,
+		    '/bugview/json/' + issue.key)) {
+			return;
+		}
+
+		log.info({ issue_id: issue.id }, 'serving issue');
+
+		/*
+		 * Construct our page from the primary template with the
+		 * formatted issue in the container:
+		 */
+		var out = format_issue_json(issue);
+
+		/*
+		 * Deliver response to client:
+		 */
+		res.contentType = 'application/json';
+		res.contentLength = out.length;
+
+		res.writeHead(200);
+		res.write(out);
+		res.end();
+
+		next();
+		return;
+	});
+}
+
+function
+handle_issue(format, req, res, next)
+{
+	var log = req.log.child({
+		remoteAddress: req.socket.remoteAddress,
+		remotePort: req.socket.remotePort,
+		userAgent: req.headers['user-agent'],
+		referrer: req.headers['referrer'],
+		forwardedFor: req.headers['x-forwarded-for'],
+		issue: req.params.key
+	});
+
+	if (!req.params.key || !req.params.key.match(/^[A-Z]+-[0-9]+$/)) {
+		log.error({ key: req.params.key }, 'invalid "key" provided');
+		res.send(400);
+		next(false);
+		return;
+	}
+
+	BACKEND.be_issue_get(req.params.key, function (err, issue) {
+		if (err) {
+			if (VE.info(err).notfound) {
+				log.error(err, 'could not find issue');
+				res.send(404,
+				    'Sorry, that issue does not exist.\n');
+				next(false);
+				return;
+			}
+			log.error(err, 'error communicating with JIRA');
+			res.send(500);
+			next(false);
+			return;
+		}
+
+		mod_assert.arrayOfString(issue.fields.labels, 'labels');
+
+		if (!is_public_issue(issue)) {
+			log.error('request for non-public issue');
+			count_nonpublic(req);
+			res.send(403, 'Sorry, this issue is not public.\n');
+			next(false);
+			return;
+		}
+
+		if (redirect_moved_issue(log, req, res, next, issue,
+		    (format === 'html' ? '/bugview/' : '/bugview/fulljson/') +
+		    issue.key)) {
+			return;
+		}
+
+		log.info({ issue_id: issue.id }, 'serving issue');
+
+		/*
+		 * Construct our page from the primary template with the
+		 * formatted issue in the container:
+		 */
+		format_issue({ format: format, issue: issue, log: log },
+		    function (_err, formatted) {
+			if (_err) {
+				log.error(_err, 'format issue failed');
+				res.send(500);
+				next(false);
+				return;
+			}
+
+			/*
+			 * Deliver response to client:
+			 */
+			var out;
+			if (format === 'html') {
+				out = format_primary(format_issue_title(issue),
+				    formatted);
+				res.contentType = 'text/html';
+			} else {
+				out = formatted;
+				res.contentType = 'application/json';
+			}
+			res.contentLength = out.length;
+
+			res.writeHead(200);
+			res.write(out);
+			res.end();
+
+			next();
+			return;
+		});
+	});
+}
+
+function
+handle_issue_history(format, req, res, next)
+{
+	var log = req.log.child({
+		remoteAddress: req.socket.remoteAddress,
+		remotePort: req.socket.remotePort,
+		userAgent: req.headers['user-agent'],
+		referrer: req.headers['referrer'],
+		forwardedFor: req.headers['x-forwarded-for'],
+		issue: req.params.key
+	});
+
+	if (!req.params.key || !req.params.key.match(/^[A-Z]+-[0-9]+$/)) {
+		log.error({ key: req.params.key }, 'invalid "key" provided');
+		res.send(400);
+		next(false);
+		return;
+	}
+
+	BACKEND.be_issue_get(req.params.key, function (err, issue) {
+		if (err) {
+			if (VE.info(err).notfound) {
+				log.error(err, 'could not find issue');
+				res.send(404,
+				    'Sorry, that issue does not exist.\n');
+				next(false);
+				return;
+			}
+			log.error(err, 'error communicating with JIRA');
+			res.send(500);
+			next(false);
+			return;
+		}
+
+		mod_assert.arrayOfString(issue.fields.labels, 'labels');
+
+		if (!is_public_issue(issue)) {
+			log.error('request for history of non-public issue');
+			count_nonpublic(req);
+			res.send(403, 'Sorry, this issue is not public.\n');
+			next(false);
+			return;
+		}
+
+		if (redirect_moved_issue(log, req, res, next, issue,
+		    '/bugview/' + issue.key + '/history' +
+		    (format === 'json' ? '.json' : ''))) {
+			return;
+		}
+
+		log.info({ issue_id: issue.id }, 'serving issue history');
+
+		var history = format_issue_history_assemble(issue);
+		var out;
+
+		if (format === 'json') {
+			out = JSON.stringify(history, null, 4);
+			res.contentType = 'application/json';
+		} else {
+			out = format_primary(format_issue_title(issue) +
+			    ' (History)', format_issue_history_finalise(issue,
+			    history));
+			res.contentType = 'text/html';
+		}
+		res.contentLength = Buffer.byteLength(out);
+
+		res.writeHead(200);
+		res.write(out);
+		res.end();
+
+		next();
+	});
+}
+
+function
+graph_config(k)
+{
+	if (CONFIG.graph && CONFIG.graph[k] !== undefined) {
+		return (CONFIG.graph[k]);
+	}
+
+	return (GRAPH_DEFAULTS[k]);
+}
+
+/*
+ * Starting from "root", follow the issue links of each issue to construct a
+ * graph of the public issues within "depth" links of the root.  Issues which
+ * are not public are left out, along with anything only linked through them.
+ */
+function
+walk_issue_graph(log, root, depth, callback)
+{
+	var max_issues = graph_config('max_issues');
+	var found = {};
+	var frontier = [ root ];
+	var level = 0;
+	var seen = 1;
+	var complete = true;
+
+	found[root.key] = { issue: root, depth: 0 };
+
+	function linked_keys(issue) {
+		var keys = [];
+
+		(issue.fields.issuelinks || []).forEach(function (il) {
+			var o = il.outwardIssue || il.inwardIssue;
+
+			if (o && o.key && same_backend(issue.key, o.key)) {
+				keys.push(o.key);
+			}
+		});
+
+		return (keys);
+	}
+
+	mod_vasync.whilst(function () {
+		return (frontier.length > 0 && level < depth);
+	}, function walk_level(next) {
+		var keys = [];
+
+		level++;
+		frontier.forEach(function (issue) {
+			linked_keys(issue).forEach(function (key) {
+				if (found.hasOwnProperty(key) ||
+				    keys.indexOf(key) !== -1) {
+					return;
+				}
+
+				if (seen >= max_issues) {
+					complete = false;
+					return;
+				}
+
+				seen++;
+				keys.push(key);
+			});
+		});
+		frontier = [];
 
-			next();
+		if (keys.length === 0) {
+			setImmediate(next);
 			return;
 		}
 
 		/*
-		 * Construct Issue Index table:
+		 * Each level of the graph is looked up in one request, which
+		 * returns only the fields we need (including the links of
+		 * each issue, which lead to the next level).
 		 */
-		var labeltxt = !is_allowed_label(label) ? '' : ': ' + label;
-		var labelidx = ALLOWED_LABELS.map(function make_link(_label) {
-			return make_label_link(_label, label === _label);
-		}).join(', ');
-		var tbody = '';
-		for (i = 0; i < results.issues.length; i++) {
-			var issue = results.issues[i];
-			var resolution = '&nbsp';
-
-			if (issue.fields.resolution &&
-			    issue.fields.resolution.name) {
-				resolution = issue.fields.resolution.name;
+		BACKEND.be_issue_list_keys(keys, function (err, results) {
+			if (err) {
+				log.warn(err, 'could not fetch related issues');
+				complete = false;
+				next();
+				return;
 			}
 
-			tbody += [
-				'<tr><td>',
-				'<a href="/bugview/' + issue.key + '">',
-				issue.key,
-				'</a>',
-				'</td><td>',
-				resolution,
-				'</td><td>',
-				issue.fields.summary,
-				'</td></tr>'
-			].join('') + '\n';
+			results.issues.forEach(function (other) {
+				if (keys.indexOf(other.key) === -1 ||
+				    found.hasOwnProperty(other.key) ||
+				    !is_public_issue(other)) {
+					return;
+				}
+
+				found[other.key] = { issue: other,
+				    depth: level };
+				frontier.push(other);
+			});
+
+			next();
+		});
+	}, function (err) {
+		if (err) {
+			callback(err);
+			return;
 		}
 
 		/*
-		 * Construct paginated navigation links:
+		 * Issues that are linked to issues at the edge of the graph
+		 * were never fetched, so we cannot tell if there is more.
 		 */
-		var pagin = [];
-		var page = is_allowed_label(label) ? label : 'index.html';
-		pagin.push('<a href="' + page + '"?offset=0&sort=' + sort +
-		    '">First Page</a>');
-		if (offset > 0) {
-			pagin.push('<a href="' + page + '?offset=' +
-			    Math.max(offset - 50, 0) + '&sort=' + sort +
-			    '">Previous Page</a>');
-		}
-		if (total) {
-			var count = Math.min(50, total - offset);
-			pagin.push('Displaying from ' + offset + ' to ' +
-			    (count + offset) + ' of ' + total);
-		}
-		if ((offset + 50) <= total) {
-			var nextp = (offset + 50) + '';
-			pagin.push('<a href="' + page + '?offset=' +
-			    nextp + '&sort=' + sort + '">Next Page</a>');
+		if (frontier.some(function (issue) {
+			return (linked_keys(issue).some(function (key) {
+				return (!found.hasOwnProperty(key));
+			}));
+		})) {
+			complete = false;
 		}
 
-		var container = format_template('issue_index', {
-			LABEL: labeltxt,
-			LABEL_INDEX: labelidx,
-			PAGINATION: pagin.join(' | '),
-			TABLE_BODY: tbody
+		var nodes = Object.keys(found).map(function (key) {
+			var f = found[key];
+
+			return ({
+				key: key,
+				summary: f.issue.fields.summary,
+				status: f.issue.fields.status ?
+				    f.issue.fields.status.name : null,
+				resolution: f.issue.fields.resolution ?
+				    f.issue.fields.resolution.name : null,
+				depth: f.depth
+			});
+		}).sort(function (a, b) {
+			if (a.depth !== b.depth) {
+				return (a.depth - b.depth);
+			}
+
+			return (compare_issue_keys(a.key, b.key));
 		});
 
 		/*
-		 * Construct page from primary template and our table:
+		 * Each link appears on the issues at both ends, so we use the
+		 * link ID to make sure it only appears once.
 		 */
-		out = format_primary('SmartOS Public Issues Index', container);
+		var edges = [];
+		var link_ids = {};
+		nodes.forEach(function (n) {
+			var issue = found[n.key].issue;
 
-		/*
-		 * Deliver response to client:
-		 */
-		res.contentType = 'text/html';
-		res.contentLength = out.length;
+			(issue.fields.issuelinks || []).forEach(function (il) {
+				var e;
 
-		res.writeHead(200);
-		res.write(out);
-		res.end();
+				if (link_ids.hasOwnProperty(il.id)) {
+					return;
+				}
 
-		next();
-		return;
+				if (il.outwardIssue) {
+					e = { from: n.key,
+					    to: il.outwardIssue.key };
+				} else if (il.inwardIssue) {
+					e = { from: il.inwardIssue.key,
+					    to: n.key };
+				} else {
+					return;
+				}
+
+				if (!found.hasOwnProperty(e.from) ||
+				    !found.hasOwnProperty(e.to)) {
+					return;
+				}
+
+				e.type = il.type.name;
+				e.outward = il.type.outward;
+				e.inward = il.type.inward;
+
+				link_ids[il.id] = true;
+				edges.push(e);
+			});
+		});
+
+		callback(null, {
+			root: root.key,
+			depth: depth,
+			complete: complete,
+			nodes: nodes,
+			edges: edges
+		});
 	});
 }
 
 function
-handle_issue_json(req, res, next)
+format_issue_graph_html(issue, graph)
+{
+	var base = '/bugview/' + issue.key + '/graph';
+	var out = '<h1>' + issue.key + ': ' + issue.fields.summary + '</h1>\n';
+
+	out += '<p><a href="/bugview/' + issue.key + '">Back to ' +
+	    issue.key + '</a></p>\n';
+
+	var depths = [];
+	for (var d = 1; d <= graph_config('max_depth'); d++) {
+		depths.push(d === graph.depth ? '<b>' + d + '</b>' :
+		    '<a href="' + base + '?depth=' + d + '">' + d + '</a>');
+	}
+	out += '<p><b>Depth:</b> ' + depths.join(' | ') + '</p>\n';
+
+	var q = '?depth=' + graph.depth;
+	out += '<p><b>Download:</b> ' + [
+		'<a href="' + base + '.json' + q + '">JSON</a>',
+		'<a href="' + base + '.dot' + q + '">DOT</a>',
+		'<a href="' + base + '.svg' + q + '">SVG</a>'
+	].join(', ') + '</p>\n';
+
+	if (!graph.complete) {
+		out += '<p><i>Some related issues are not shown.  Try a ' +
+		    'greater depth, if available.</i></p>\n';
+	}
+
+	out += '<div>' + lib_graph.graph_svg(graph) + '</div>\n';
+
+	return (out);
+}
+
+function
+handle_issue_graph(format, req, res, next)
 {
 	var log = req.log.child({
 		remoteAddress: req.socket.remoteAddress,
@@ -472,11 +2602,26 @@ handle_issue_json(req, res, next)
 		return;
 	}
 
-	BACKEND.be_issue_get(req.params.key, function (err, issue) {
+	var max_depth = graph_config('max_depth');
+	var depth = Math.min(graph_config('default_depth'), max_depth);
+	if (req.query && req.query.depth !== undefined) {
+		depth = Number(req.query.depth);
+
+		if (!Number.isInteger(depth) || depth < 1 ||
+		    depth > max_depth) {
+			res.send(400, 'Sorry, the depth must be between 1 ' +
+			    'and ' + max_depth + '.\n');
+			next(false);
+			return;
+		}
+	}
+
+	BACKEND.be_issue_get_brief(req.params.key, function (err, issue) {
 		if (err) {
 			if (VE.info(err).notfound) {
 				log.error(err, 'could not find issue');
-				res.send(404);
+				res.send(404,
+				    'Sorry, that issue does not exist.\n');
 				next(false);
 				return;
 			}
@@ -488,39 +2633,75 @@ handle_issue_json(req, res, next)
 
 		mod_assert.arrayOfString(issue.fields.labels, 'labels');
 
-		if (!UNRESTRICTED &&
-		    issue.fields.labels.indexOf(CONFIG.label) === -1) {
-			log.error('request for non-public issue');
-			res.send(403);
+		if (!is_public_issue(issue)) {
+			log.error('request for graph of non-public issue');
+			count_nonpublic(req);
+			res.send(403, 'Sorry, this issue is not public.\n');
 			next(false);
 			return;
 		}
 
-		log.info({ issue_id: issue.id }, 'serving issue');
+		if (redirect_moved_issue(log, req, res, next, issue,
+		    '/bugview/' + issue.key + '/graph' +
+		    (format === 'html' ? '' : '.' + format) +
+		    '?depth=' + depth)) {
+			return;
+		}
 
-		/*
-		 * Construct our page from the primary template with the
-		 * formatted issue in the container:
-		 */
-		var out = format_issue_json(issue);
+		walk_issue_graph(log, issue, depth, function (_err, graph) {
+			if (_err) {
+				log.error(_err, 'could not construct graph');
+				res.send(500);
+				next(false);
+				return;
+			}
 
-		/*
-		 * Deliver response to client:
-		 */
-		res.contentType = 'application/json';
-		res.contentLength = out.length;
+			log.info({ issue_id: issue.id, depth: depth,
+			    nodes: graph.nodes.length,
+			    edges: graph.edges.length },
+			    'serving issue graph');
 
-		res.writeHead(200);
-		res.write(out);
-		res.end();
+			var out, type;
 
-		next();
-		return;
+			switch (format) {
+			case 'json':
+				out = JSON.stringify(graph, null, 4);
+				type = 'application/json';
+				break;
+
+			case 'dot':
+				out = lib_graph.graph_dot(graph);
+				type = 'text/vnd.graphviz; charset=utf-8';
+				break;
+
+			case 'svg':
+				out = lib_graph.graph_svg(graph);
+				type = 'image/svg+xml';
+				break;
+
+			default:
+				out = format_primary(format_issue_title(issue) +
+				    ' (Graph)', format_issue_graph_html(issue,
+				    graph));
+				type = 'text/html';
+				break;
+			}
+
+			res.header('Content-Type', type);
+			res.header('X-Content-Type-Options', 'nosniff');
+			res.contentLength = Buffer.byteLength(out);
+
+			res.writeHead(200);
+			res.write(out);
+			res.end();
+
+			next();
+		});
 	});
 }
 
 function
-handle_issue(format, req, res, next)
+handle_attachment(req, res, next)
 {
 	var log = req.log.child({
 		remoteAddress: req.socket.remoteAddress,
@@ -528,17 +2709,26 @@ handle_issue(format, req, res, next)
 		userAgent: req.headers['user-agent'],
 		referrer: req.headers['referrer'],
 		forwardedFor: req.headers['x-forwarded-for'],
-		issue: req.params.key
+		issue: req.params.key,
+		attachment_id: req.params.id
 	});
 
-	if (!req.params.key || !req.params.key.match(/^[A-Z]+-[0-9]+$/)) {
-		log.error({ key: req.params.key }, 'invalid "key" provided');
+	if (!req.params.key || !req.params.key.match(/^[A-Z]+-[0-9]+$/) ||
+	    !req.params.id || !req.params.id.match(/^[0-9]+$/)) {
+		log.error({ key: req.params.key, id: req.params.id },
+		    'invalid "key" or "id" provided');
 		res.send(400);
 		next(false);
 		return;
 	}
 
-	BACKEND.be_issue_get(req.params.key, function (err, issue) {
+	if (!CONFIG.attachments || field_hidden('attachment')) {
+		res.send(404, 'Sorry, that attachment does not exist.\n');
+		next(false);
+		return;
+	}
+
+	BACKEND.be_issue_get_brief(req.params.key, function (err, issue) {
 		if (err) {
 			if (VE.info(err).notfound) {
 				log.error(err, 'could not find issue');
@@ -555,83 +2745,313 @@ handle_issue(format, req, res, next)
 
 		mod_assert.arrayOfString(issue.fields.labels, 'labels');
 
-		if (!UNRESTRICTED &&
-		    issue.fields.labels.indexOf(CONFIG.label) === -1) {
-			log.error('request for non-public issue');
+		if (!is_public_issue(issue)) {
+			log.error('request for attachment on non-public issue');
+			count_nonpublic(req);
 			res.send(403, 'Sorry, this issue is not public.\n');
 			next(false);
 			return;
 		}
 
-		log.info({ issue_id: issue.id }, 'serving issue');
+		if (redirect_moved_issue(log, req, res, next, issue,
+		    '/bugview/' + issue.key + '/attachment/' + req.params.id)) {
+			return;
+		}
 
-		/*
-		 * Construct our page from the primary template with the
-		 * formatted issue in the container:
-		 */
-		format_issue({ format: format, issue: issue, log: log },
-		    function (_err, formatted) {
+		var att = (issue.fields.attachment || []).filter(function (a) {
+			return (a.id === req.params.id);
+		})[0];
+
+		if (!att) {
+			log.error('could not find attachment');
+			res.send(404,
+			    'Sorry, that attachment does not exist.\n');
+			next(false);
+			return;
+		}
+
+		if (!allow_attachment(att)) {
+			log.error({ mimeType: att.mimeType, size: att.size },
+			    'request for attachment that is not allowed');
+			res.send(403,
+			    'Sorry, this attachment is not public.\n');
+			next(false);
+			return;
+		}
+
+		BACKEND.be_attachment_get(issue.key, att,
+		    function (_err, stream) {
 			if (_err) {
-				log.error(_err, 'format issue failed');
-				res.send(500);
+				log.error(_err, 'could not get attachment');
+				if (VE.info(_err).notfound) {
+					res.send(404, 'Sorry, that ' +
+					    'attachment does not exist.\n');
+				} else {
+					res.send(500);
+				}
 				next(false);
 				return;
 			}
 
-			/*
-			 * Deliver response to client:
-			 */
-			var out;
-			if (format === 'html') {
-				out = format_primary(format_issue_title(issue),
-				    formatted);
-				res.contentType = 'text/html';
-			} else {
-				out = formatted;
-				res.contentType = 'application/json';
-			}
-			res.contentLength = out.length;
+			log.info('serving attachment');
+			send_attachment(log, att, stream, res, next);
+		});
+	});
+}
 
-			res.writeHead(200);
-			res.write(out);
-			res.end();
+/*
+ * Stream the contents of an attachment to the client.  We only ever send the
+ * (allowed) MIME type from the attachment metadata, and tell the browser not
+ * to second guess it.  Only images (other than those in ACTIVE_MIME_TYPES) and
+ * plain text are displayed inline, and the content security policy prevents
+ * an attachment from running script or loading anything else, even if it is
+ * opened directly.
+ */
+function
+send_attachment(log, att, stream, res, next)
+{
+	var type = attachment_mime_type(att);
+	var disposition = ((type.match(/^image\//) &&
+	    ACTIVE_MIME_TYPES.indexOf(type) === -1) || type === 'text/plain') ?
+	    'inline' : 'attachment';
+	var filename = att.filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+	var bytes = 0;
+	var finished = false;
+
+	function finish(err) {
+		if (finished) {
+			return;
+		}
+		finished = true;
 
-			next();
+		if (err) {
+			log.error(err, 'error streaming attachment');
+			stream.unpipe(res);
+			if (typeof (stream.destroy) === 'function') {
+				stream.destroy();
+			}
+			res.destroy();
+			next(false);
 			return;
-		});
+		}
+
+		next();
+	}
+
+	res.header('Content-Type', type);
+	res.header('Content-Disposition', disposition + '; filename="' +
+	    filename + '"');
+	res.header('X-Content-Type-Options', 'nosniff');
+	res.header('Content-Security-Policy', 'default-src \'none\'; sandbox');
+	res.writeHead(200);
+
+	/*
+	 * The size in the metadata has already been checked against our limit,
+	 * but we make sure not to send more than that regardless.
+	 */
+	stream.on('data', function (chunk) {
+		bytes += chunk.length;
+		if (bytes > CONFIG.attachments.max_bytes) {
+			finish(new VE('attachment larger than %d bytes',
+			    CONFIG.attachments.max_bytes));
+		}
+	});
+	stream.on('error', function (err) {
+		finish(new VE(err, 'read attachment'));
+	});
+	stream.on('end', function () {
+		finish();
+	});
+
+	stream.pipe(res);
+}
+
+/*
+ * Formatter:
+ */
+
+/*
+ * Returns the key of the epic to which an issue is linked with the configured
+ * "Epic Link" field, or null if there is none.
+ */
+function
+epic_key(issue)
+{
+	var field = backend_config(issue.key).epic_link_field;
+
+	if (!field) {
+		return (null);
+	}
+
+	var key = issue.fields[field];
+	if (typeof (key) !== 'string' || !key.match(/^[A-Z]+-[0-9]+$/)) {
+		return (null);
+	}
+
+	return (key);
+}
+
+function
+is_epic(issue)
+{
+	return (Boolean(issue.fields.issuetype &&
+	    issue.fields.issuetype.name === 'Epic'));
+}
+
+/*
+ * Returns the keys of the parent, sub-tasks and epic of an issue.
+ */
+function
+hierarchy_keys(issue)
+{
+	var keys = [];
+
+	if (issue.fields.parent && issue.fields.parent.key) {
+		keys.push(issue.fields.parent.key);
+	}
+
+	(issue.fields.subtasks || []).forEach(function (st) {
+		if (st.key) {
+			keys.push(st.key);
+		}
 	});
+
+	if (epic_key(issue) !== null) {
+		keys.push(epic_key(issue));
+	}
+
+	return (keys);
+}
+
+/*
+ * Access to issues is restricted to those with the correct label.  This
+ * includes related issues, each of which must be checked for the "public"
+ * label before display.
+ */
+function
+allow_issue(key, other_issues)
+{
+	mod_assert.string(key, 'key');
+	mod_assert.object(other_issues, 'other_issues');
+
+	var m = key.match(/^([A-Z]+)-([0-9]+)/);
+	if (!m) {
+		return (false);
+	}
+
+	if (!other_issues[key]) {
+		return (false);
+	}
+
+	if (!is_public_issue(other_issues[key])) {
+		return (false);
+	}
+
+	return (true);
 }
 
-/*
- * Formatter:
- */
+function
+attachment_mime_type(att)
+{
+	if (typeof (att.mimeType) !== 'string') {
+		return ('');
+	}
+
+	return (att.mimeType.split(';')[0].trim().toLowerCase());
+}
 
 /*
- * Access to issues is restricted to those with the correct label.  This
- * includes related issues, each of which must be checked for the "public"
- * label before display.
+ * Attachments are only served if they are of one of the MIME types listed in
+ * the "attachments" configuration, and are no larger than the configured
+ * size limit.  A MIME type in the configuration may use a wildcard for the
+ * subtype; e.g., "image/*".  A wildcard does not match the types in
+ * ACTIVE_MIME_TYPES, which can carry script, so they must be listed by name.
  */
 function
-allow_issue(key, other_issues)
+allow_attachment(att)
 {
-	mod_assert.string(key, 'key');
-	mod_assert.object(other_issues, 'other_issues');
+	mod_assert.object(att, 'att');
 
-	var m = key.match(/^([A-Z]+)-([0-9]+)/);
-	if (!m) {
+	if (!CONFIG.attachments) {
 		return (false);
 	}
 
-	if (!other_issues[key]) {
+	if (typeof (att.size) !== 'number' ||
+	    att.size > CONFIG.attachments.max_bytes) {
 		return (false);
 	}
 
-	if (!UNRESTRICTED &&
-	    other_issues[key].fields.labels.indexOf(CONFIG.label) === -1) {
+	var type = attachment_mime_type(att);
+	if (!type.match(/^[a-z0-9.+-]+\/[a-z0-9.+-]+$/)) {
 		return (false);
 	}
 
-	return (true);
+	return (CONFIG.attachments.mime_types.some(function (allowed) {
+		allowed = allowed.toLowerCase();
+
+		if (allowed.match(/\/\*$/)) {
+			return (type.indexOf(allowed.slice(0, -1)) === 0 &&
+			    ACTIVE_MIME_TYPES.indexOf(type) === -1);
+		}
+
+		return (type === allowed);
+	}));
+}
+
+/*
+ * Find an attachment by file name.  If there is more than one attachment
+ * with the same name, JIRA refers to the most recent one.
+ */
+function
+find_attachment(issue, filename)
+{
+	var found = null;
+
+	(issue.fields.attachment || []).forEach(function (att) {
+		if (att.filename === filename && (found === null ||
+		    Number(att.id) > Number(found.id))) {
+			found = att;
+		}
+	});
+
+	return (found);
+}
+
+function
+attachment_url(issue, att)
+{
+	return ('/bugview/' + issue.key + '/attachment/' + att.id);
+}
+
+function
+format_attachment_link(issue, filename, text)
+{
+	var att = find_attachment(issue, filename);
+
+	if (att === null) {
+		return ('<b>[attachment ' + text + ']</b>');
+	}
+
+	return ('<a href="' + attachment_url(issue, att) + '">' + text +
+	    '</a>');
+}
+
+/*
+ * Embedded images are only displayed if they are a public attachment on this
+ * issue; we never embed external resources.
+ */
+function
+format_embedded(issue, filename)
+{
+	var att = find_attachment(issue, filename);
+
+	if (att === null || !attachment_mime_type(att).match(/^image\//)) {
+		return ('<b>[attachment ' + mod_ent.encode(filename) +
+		    ']</b>');
+	}
+
+	return ('<img src="' + attachment_url(issue, att) + '" alt="' +
+	    mod_ent.encode(filename) + '">');
 }
 
 function
@@ -640,38 +3060,8 @@ fix_url(input)
 	var out = input.trim();
 	var url;
 
-	var SUBS = {
-		'mo.joyent.com': [
-			{
-				h: 'github.com',
-				m: '/illumos-joyent',
-				p: '/joyent/illumos-joyent'
-			},
-			{
-				h: 'github.com',
-				m: '/smartos-live',
-				p: '/joyent/smartos-live'
-			},
-			{
-				h: 'github.com',
-				m: '/illumos-live',
-				p: '/joyent/smartos-live'
-			},
-			{
-				h: 'github.com',
-				m: '/illumos-extra',
-				p: '/joyent/illumos-extra'
-			},
-			{
-				h: 'github.com',
-				m: '/sdc-napi',
-				p: '/joyent/sdc-napi'
-			}
-		]
-	};
-
 	try {
-		url = mod_url.parse(out);
+		url = lib_rewrite.rewrite_url(out).url;
 	} catch (ex) {
 		LOG.error({
 			err: ex,
@@ -680,23 +3070,26 @@ fix_url(input)
 		return (out);
 	}
 
-	if (!SUBS[url.hostname]) {
-		return (mod_ent.encode(out));
-	}
-
-	for (var i = 0; i < SUBS[url.hostname].length; i++) {
-		var s = SUBS[url.hostname][i];
-		var re = new RegExp('^' + s.m);
+	return (mod_ent.encode(url));
+}
 
-		if (re.test(url.pathname)) {
-			url.hostname = url.host = s.h;
-			url.path = url.pathname =
-			    url.pathname.replace(re, s.p);
-			return (mod_ent.encode(mod_url.format(url)));
-		}
+/*
+ * Returns true if the link policy allows us to publish a link to this URL,
+ * once it has been rewritten by fix_url().
+ */
+function
+allow_link(input)
+{
+	try {
+		return (lib_linkpolicy.link_allowed(
+		    lib_rewrite.rewrite_url(input.trim()).url));
+	} catch (ex) {
+		LOG.error({
+			err: ex,
+			url: input
+		}, 'url parse error');
+		return (false);
 	}
-
-	return (mod_ent.encode(out));
 }
 
 /*
@@ -758,7 +3151,12 @@ parse_jira_markup(desc, ps)
 
 	function commit_text() {
 		if (text !== '') {
-			out.push(mod_ent.encode(text));
+			if (formats[0] === 'CODE') {
+				out.push(mod_ent.encode(text));
+			} else {
+				out.push(link_mentions(mod_ent.encode(text),
+				    ps.ps_mentions));
+			}
 			text = '';
 		}
 	}
@@ -833,6 +3231,17 @@ parse_jira_markup(desc, ps)
 				continue;
 			}
 
+			var em = null;
+			if (c === '!' && formats[0] !== 'CODE') {
+				em = desc.slice(i).match(EMBED_RE);
+			}
+			if (em !== null) {
+				commit_text();
+				out.push(format_embedded(ps.ps_issue, em[1]));
+				i += em[0].length - 1;
+				continue;
+			}
+
 			if (c === '[') {
 				commit_text();
 				link_title = '';
@@ -855,7 +3264,7 @@ parse_jira_markup(desc, ps)
 				state = 'LINK_URL';
 			} else if (c === ']') {
 				out.push(format_remote_link(link_title,
-				    mod_ent.encode(link_title)));
+				    mod_ent.encode(link_title), ps.ps_hidden));
 
 				state = 'TEXT';
 			} else {
@@ -877,9 +3286,8 @@ parse_jira_markup(desc, ps)
 
 		case 'LINK_ATTACHMENT':
 			if (c === ']') {
-				out.push('<b>[attachment ');
-				out.push(mod_ent.encode(link_title));
-				out.push(']</b>');
+				out.push(format_attachment_link(ps.ps_issue,
+				    link_title, mod_ent.encode(link_title)));
 
 				state = 'TEXT';
 			} else {
@@ -890,7 +3298,7 @@ parse_jira_markup(desc, ps)
 		case 'LINK_URL':
 			if (c === ']') {
 				out.push(format_remote_link(link_url,
-				    mod_ent.encode(link_title)));
+				    mod_ent.encode(link_title), ps.ps_hidden));
 
 				state = 'TEXT';
 			} else {
@@ -930,8 +3338,8 @@ parse_jira_markup(desc, ps)
 
 		if (c === '{' && cc === '{') {
 			i++; /* skip cc */
-			formats.push('CODE');
 			commit_text();
+			formats.push('CODE');
 			out.push('<code>');
 			continue;
 		}
@@ -948,8 +3356,8 @@ parse_jira_markup(desc, ps)
 
 		if (c === '}' && cc === '}' && formats[0] === 'CODE') {
 			i++; /* skip cc */
-			formats.pop();
 			commit_text();
+			formats.pop();
 			out.push('</code>');
 			continue;
 		}
@@ -1000,7 +3408,7 @@ format_panel_open(names)
 }
 
 function
-format_markup_fallback(desc)
+format_markup_fallback(desc, issue, mentions, hidden)
 {
 	var out = '';
 	var lines = desc.split(/\r?\n/);
@@ -1011,7 +3419,10 @@ format_markup_fallback(desc)
 	var parse_markup = true;
 	var parser_state = {
 		ps_list: false,
-		ps_heading: null
+		ps_heading: null,
+		ps_issue: issue,
+		ps_mentions: mentions,
+		ps_hidden: hidden
 	};
 	var procneeded = true;
 	var closing = null;
@@ -1093,19 +3504,118 @@ format_markup_fallback(desc)
 }
 
 
+/*
+ * Replace each issue key in some (encoded) text with a link to that issue, if
+ * the key is in "mentions", the set of public issues.
+ */
+function
+link_mentions(text, mentions)
+{
+	return (text.replace(MENTION_RE, function (key) {
+		if (!mentions.hasOwnProperty(key)) {
+			return (key);
+		}
+
+		return ('<a href="/bugview/' + key + '">' + key + '</a>');
+	}));
+}
+
+/*
+ * jiramark does not give us a way to process plain text, so we link issue keys
+ * in the HTML it produces instead.  Text within links, and within code or
+ * preformatted blocks, is left alone.
+ */
+function
+link_mentions_html(html, mentions)
+{
+	var depth = 0;
+
+	/*
+	 * Splitting on a capture group leaves the tags at the odd indices.
+	 */
+	return (html.split(/(<[^>]*>)/).map(function (part, idx) {
+		if (idx % 2 === 1) {
+			var m = part.match(/^<(\/?)(a|code|pre)\b/i);
+
+			if (m !== null) {
+				depth += (m[1] === '/') ? -1 : 1;
+				depth = Math.max(depth, 0);
+			}
+			return (part);
+		}
+
+		return (depth > 0 ? part : link_mentions(part, mentions));
+	}).join(''));
+}
+
+/*
+ * Determine the distinct issue keys mentioned in the description and comments
+ * of an issue.
+ */
+function
+mentioned_issue_keys(issue)
+{
+	var texts = [ issue.fields.description || '' ];
+	var keys = [];
+
+	if (issue.fields.comment &&
+	    Array.isArray(issue.fields.comment.comments)) {
+		issue.fields.comment.comments.forEach(function (com) {
+			texts.push(com.body || '');
+		});
+	}
+
+	texts.forEach(function (text) {
+		(text.match(MENTION_RE) || []).forEach(function (key) {
+			if (key !== issue.key && keys.indexOf(key) === -1 &&
+			    keys.length < MAX_MENTIONED_ISSUES) {
+				keys.push(key);
+			}
+		});
+	});
+
+	return (keys);
+}
+
+/*
+ * Convert JIRA markup from the description or a comment of an issue to HTML.
+ * References to attachments are resolved against the (public) attachments of
+ * that issue, and mentions of other public issues (the keys in "mentions")
+ * become links.  Links which the link policy does not allow are counted in
+ * "hidden"; see format_remote_link().
+ */
 function
-format_markup(desc)
+format_markup(desc, issue, mentions, hidden)
 {
+	mod_assert.string(desc, 'desc');
+	mod_assert.object(issue, 'issue');
+	mod_assert.object(mentions, 'mentions');
+	mod_assert.object(hidden, 'hidden');
+
+	var ops = {
+		formatLink: function (link, text) {
+			return (format_remote_link(link, text, hidden));
+		},
+		formatAttachmentLink: function (filename, text) {
+			return (format_attachment_link(issue, filename, text));
+		},
+		formatEmbedded: function (filename) {
+			return (format_embedded(issue, filename));
+		}
+	};
+
 	try {
-		return (mod_jiramark.markupToHTML(desc, JIRA_OPS));
+		return (link_mentions_html(mod_jiramark.markupToHTML(desc, ops),
+		    mentions));
 	} catch (e) {
 		LOG.warn({
 			errmsg: e.message,
 			markup: desc
 		}, 'failed to convert markup to HTML');
+		lib_metrics.metrics_inc('bugview_markup_fallbacks_total');
 	}
 
-	return (format_markup_fallback(desc));
+	return (format_markup_fallback(desc, issue, mentions, hidden));
 }
 
 function
@@ -1114,8 +3624,8 @@ format_issue_json(issue)
 	var out = {
 		id: issue.key,
 		summary: issue.fields.summary,
-		web_url: CONFIG.http_proto + '://smartos.org/bugview/' +
-		    issue.key
+		backend: backend_name(issue.key),
+		web_url: public_url(issue.key)
 	};
 
 	return (JSON.stringify(out));
@@ -1139,6 +3649,125 @@ format_issue_title(issue)
 	return (out);
 }
 
+/*
+ * Render the HTML content of a feed entry for an issue from a list returned
+ * by the backend.  This HTML is escaped again when it is placed in the feed.
+ */
+function
+format_feed_content(issue)
+{
+	var resolution = 'Unresolved';
+
+	if (issue.fields.resolution && issue.fields.resolution.name) {
+		resolution = issue.fields.resolution.name;
+	}
+
+	return ('<p>' + mod_ent.encode(issue.fields.summary || '') + '</p>' +
+	    '<p><b>Resolution:</b> ' + mod_ent.encode(resolution) + '</p>');
+}
+
+/*
+ * Produce an Atom or RSS 2.0 feed document for a list of issues returned by
+ * the backend, which should be sorted by the most recent update.  If "sel" is
+ * not null, the feed is for the index of that label selection.
+ */
+function
+format_feed(format, sel, issues)
+{
+	mod_assert.ok(format === 'atom' || format === 'rss', 'format');
+	mod_assert.optionalObject(sel, 'sel');
+	mod_assert.arrayOfObject(issues, 'issues');
+
+	var updated = new Date();
+
+	/*
+	 * Determine the time of the most recent change to an issue.  If the
+	 * backend did not provide one, we fall back to the time at which the
+	 * feed was generated.
+	 */
+	function last_change(issue) {
+		var when = issue.fields.updated || issue.fields.created;
+
+		return (when ? new Date(when) : updated);
+	}
+
+	var X = mod_ent.encode;
+	var title = 'SmartOS Public Issues' + (sel !== null ?
+	    ': ' + label_selection_text(sel) : '');
+	var page = sel !== null ? 'label/' + label_selection_path(sel) :
+	    'index.html';
+	var selfpath = (sel !== null ? page : 'index') + '.' + format;
+	var out = [ '<?xml version="1.0" encoding="utf-8"?>' ];
+
+	if (issues.length > 0) {
+		updated = last_change(issues[0]);
+	}
+
+	if (format === 'atom') {
+		out.push('<feed xmlns="http://www.w3.org/2005/Atom">');
+		out.push('<title>' + X(title) + '</title>');
+		out.push('<id>' + X(public_url(selfpath)) + '</id>');
+		out.push('<link rel="self" href="' + X(public_url(selfpath)) +
+		    '"/>');
+		out.push('<link rel="alternate" type="text/html" href="' +
+		    X(public_url(page)) + '"/>');
+		out.push('<updated>' + updated.toISOString() + '</updated>');
+
+		issues.forEach(function (issue) {
+			var url = public_url(issue.key);
+
+			out.push('<entry>');
+			out.push('<title>' + X(format_issue_title(issue)) +
+			    '</title>');
+			out.push('<id>' + X(url) + '</id>');
+			out.push('<link rel="alternate" type="text/html" ' +
+			    'href="' + X(url) + '"/>');
+			if (issue.fields.created) {
+				out.push('<published>' + new Date(
+				    issue.fields.created).toISOString() +
+				    '</published>');
+			}
+			out.push('<updated>' +
+			    last_change(issue).toISOString() + '</updated>');
+			out.push('<author><name>SmartOS</name></author>');
+			out.push('<content type="html">' +
+			    X(format_feed_content(issue)) + '</content>');
+			out.push('</entry>');
+		});
+
+		out.push('</feed>');
+	} else {
+		out.push('<rss version="2.0">');
+		out.push('<channel>');
+		out.push('<title>' + X(title) + '</title>');
+		out.push('<link>' + X(public_url(page)) + '</link>');
+		out.push('<description>' + X(title) + '</description>');
+		out.push('<lastBuildDate>' + updated.toUTCString() +
+		    '</lastBuildDate>');
+
+		issues.forEach(function (issue) {
+			var url = public_url(issue.key);
+
+			out.push('<item>');
+			out.push('<title>' + X(format_issue_title(issue)) +
+			    '</title>');
+			out.push('<link>' + X(url) + '</link>');
+			out.push('<guid isPermaLink="true">' + X(url) +
+			    '</guid>');
+			out.push('<pubDate>' +
+			    last_change(issue).toUTCString() + '</pubDate>');
+			out.push('<description>' +
+			    X(format_feed_content(issue)) + '</description>');
+			out.push('</item>');
+		});
+
+		out.push('</channel>');
+		out.push('</rss>');
+	}
+
+	return (out.join('\n') + '\n');
+}
+
 function
 format_issue(opts, callback)
 {
@@ -1149,74 +3778,130 @@ format_issue(opts, callback)
 	mod_assert.func(callback, 'callback');
 
 	var remotelinks;
+	var hidden_links = 0;
 
 	var issue = opts.issue;
 	var log = opts.log;
 
 	/*
 	 * First, we perform a few additional requests to fill out more
-	 * information about linked issues.  In particular, we want to know
-	 * if they have been marked "public" or not.
+	 * information about linked issues, and the parent, sub-tasks and epic
+	 * of this issue.  In particular, we want to know if they have been
+	 * marked "public" or not.
 	 */
 	var other_issues = {};
 	mod_vasync.waterfall([ function lookup_linked_issues(next) {
-		if (!issue.fields.issuelinks) {
-			setImmediate(next);
-			return;
-		}
-
 		/*
 		 * Assemble a list of all of the unique issues we need to
 		 * fetch.  There may be multiple links that refer to the same
 		 * issue; e.g., this issue might be both "related to" and
 		 * "duplicate of" the same other issue.
 		 */
-		issue.fields.issuelinks.forEach(function (l) {
+		var related = hierarchy_keys(issue);
+		(issue.fields.issuelinks || []).forEach(function (l) {
 			if (l.outwardIssue) {
-				other_issues[l.outwardIssue.key] = null;
+				related.push(l.outwardIssue.key);
 			}
 
 			if (l.inwardIssue) {
-				other_issues[l.inwardIssue.key] = null;
+				related.push(l.inwardIssue.key);
+			}
+		});
+
+		related.forEach(function (key) {
+			if (same_backend(issue.key, key)) {
+				other_issues[key] = null;
+			} else {
+				log.debug('%s relates to issue %s, which is ' +
+				    'on another backend', issue.key, key);
 			}
 		});
 
-		mod_vasync.forEachParallel({ inputs: Object.keys(other_issues),
-		    func: function lookup_linked_issue_one(key, done) {
-			BACKEND.be_issue_get(key, function (err, other) {
-				if (err) {
-					/*
-					 * In this particular case, we ignore
-					 * the failure to retrieve a related
-					 * issue from JIRA.  It's almost
-					 * certainly better to be able to
-					 * give information about the bug
-					 * itself, even if we cannot fetch
-					 * all of the Related Issues.
-					 */
-					log.warn(err, 'could not fetch ' +
-					    'related issue ' + key);
-					done();
+		if (Object.keys(other_issues).length === 0) {
+			setImmediate(next);
+			return;
+		}
+
+		/*
+		 * We only need to know a little about each related issue, so
+		 * we look them all up in one request rather than fetching
+		 * each in full.
+		 */
+		var keys = Object.keys(other_issues);
+		BACKEND.be_issue_list_keys(keys, function (err, results) {
+			if (err) {
+				/*
+				 * In this particular case, we ignore the
+				 * failure to retrieve related issues from
+				 * JIRA.  It's almost certainly better to be
+				 * able to give information about the bug
+				 * itself, even if we cannot fetch all of the
+				 * Related Issues.
+				 */
+				log.warn(err, 'could not fetch related issues');
+				next();
+				return;
+			}
+
+			results.issues.forEach(function (other) {
+				if (keys.indexOf(other.key) === -1) {
 					return;
 				}
 
 				/*
 				 * Include only issues marked "public".
 				 */
-				if (UNRESTRICTED ||
-				    other.fields.labels.indexOf(
-				    CONFIG.label) !== -1) {
-					other_issues[key] = other;
+				if (is_public_issue(other)) {
+					other_issues[other.key] = other;
 				} else {
 					log.debug('%s relates to issue %s, ' +
 					    'which is not marked public',
-					    issue.key, key);
+					    issue.key, other.key);
 				}
+			});
+
+			next();
+		});
+	}, function lookup_mentioned_issues(next) {
+		if (opts.format !== 'html') {
+			setImmediate(next);
+			return;
+		}
+
+		/*
+		 * Issues mentioned in the description or comments are linked
+		 * if they are public.  We look them all up in one request,
+		 * rather than one request for each key.
+		 */
+		var keys = mentioned_issue_keys(issue).filter(function (key) {
+			return (!other_issues.hasOwnProperty(key) &&
+			    same_backend(issue.key, key));
+		});
+
+		if (keys.length === 0) {
+			setImmediate(next);
+			return;
+		}
+
+		BACKEND.be_issue_list_keys(keys, function (err, results) {
+			if (err) {
+				/*
+				 * As with related issues, we would rather
+				 * show the issue without these links.
+				 */
+				log.warn(err, 'could not look up mentioned ' +
+				    'issues');
+				next();
+				return;
+			}
 
-				done();
+			results.issues.forEach(function (other) {
+				if (keys.indexOf(other.key) !== -1) {
+					other_issues[other.key] = other;
+				}
 			});
-		} }, function (err) {
-			next(err);
+
+			next();
 		});
 	}, function get_remote_links(next) {
 		/*
@@ -1225,7 +3910,8 @@ format_issue(opts, callback)
 		 * link to code reviews, but they can also be to relevant bugs
 		 * on other sites, such as illumos.org.
 		 */
-		BACKEND.be_remotelink_get(issue.id, function (err, links) {
+		BACKEND.be_remotelink_get(issue.key, issue.id,
+		    function (err, links) {
 			if (err) {
 				next(err);
 				return;
@@ -1234,33 +3920,40 @@ format_issue(opts, callback)
 			mod_assert.array(links, 'links');
 
 			/*
-			 * We filter out domains that haven't been explicitly
-			 * allowed, in case there are any tickets floating
+			 * We filter out links that the link policy does not
+			 * allow, in case there are any tickets floating
 			 * around with links to signed Manta URLs.
 			 */
 			remotelinks = links.filter(function (rl) {
-				var parsed = mod_url.parse(rl.object.url);
-				var domain = parsed.hostname;
-
-				if (domain === null) {
-					return (false);
-				}
-
-				return (ALLOWED_DOMAINS.indexOf(domain) !== -1);
+				return (allow_link(rl.object.url));
 			});
+			hidden_links = links.length - remotelinks.length;
 
 			next(null);
 		});
 	}, function do_format(next) {
 		var fi = format_issue_assemble(issue, remotelinks,
-		    other_issues);
+		    hidden_links, other_issues);
 
 		if (opts.format !== 'html') {
 			next(null, JSON.stringify(fi, null, 4));
 			return;
 		}
 
-		next(null, format_issue_finalise(fi.issue, fi.remotelinks));
+		/*
+		 * Determine which of the issues mentioned in the text are
+		 * public, and may be linked to.
+		 */
+		var mentions = {};
+		mentions[issue.key] = true;
+		Object.keys(other_issues).forEach(function (key) {
+			if (allow_issue(key, other_issues)) {
+				mentions[key] = true;
+			}
+		});
+
+		next(null, format_issue_finalise(fi.issue, fi.remotelinks,
+		    fi.hidden_remotelinks, mentions));
 	} ], callback);
 }
 
@@ -1323,16 +4016,66 @@ extract_people_field(issue, type, label, rows)
 	rows.push({ name: label + ':', value: val });
 }
 
+/*
+ * Every person included in the sanitised view of an issue passes through this
+ * function, which applies the "redaction" policy from the configuration:
+ *
+ *	drop_people			people are left out entirely
+ *	hide_email_addresses		the e-mail address is left out
+ *	usernames_as_display_names	the username ("name" and "key") is
+ *					replaced with the display name
+ *
+ * Returns null if the person should not be included at all.
+ */
+function
+redact_person(person)
+{
+	if (!person || REDACTION.drop_people) {
+		return (null);
+	}
+
+	var out = {};
+	PERSON_OBJECT_KEYS.forEach(function (k) {
+		var v = person[k];
+
+		if (k === 'emailAddress' && REDACTION.hide_email_addresses) {
+			return;
+		}
+
+		if ((k === 'name' || k === 'key') &&
+		    REDACTION.usernames_as_display_names) {
+			v = person.displayName;
+		}
+
+		if (v) {
+			out[k] = v;
+		}
+	});
+
+	return (out);
+}
+
+/*
+ * Check whether a field of an issue is left out of the HTML and JSON views
+ * (and the history) by the "hide_fields" list of the "redaction" policy.
+ */
+function
+field_hidden(fname)
+{
+	return ((REDACTION.hide_fields || []).indexOf(fname) !== -1);
+}
+
 /*
  * Assemble an object which contains only the sanitised public data used to
  * produce either the rendered HTML or JSON API view of the issue.
  */
 function
-format_issue_assemble(issue, remotelinks, other_issues)
+format_issue_assemble(issue, remotelinks, hidden_links, other_issues)
 {
 	mod_assert.object(issue, 'issue');
 	mod_assert.object(other_issues, 'other_issues');
 	mod_assert.arrayOfObject(remotelinks, 'remotelinks');
+	mod_assert.number(hidden_links, 'hidden_links');
 
 	var out = {
 		id: issue.id,
@@ -1363,6 +4106,14 @@ format_issue_assemble(issue, remotelinks, other_issues)
 		}
 	}
 
+	function copy_person(fname, cfrom, cto) {
+		var p = redact_person(cfrom[fname]);
+
+		if (p !== null) {
+			cto[fname] = p;
+		}
+	}
+
 	copy_obj('issuetype');
 	copy_obj('priority');
 	copy_obj('status');
@@ -1370,9 +4121,9 @@ format_issue_assemble(issue, remotelinks, other_issues)
 	copy_simple('created');
 	copy_simple('updated');
 
-	copy_obj('creator');
-	copy_obj('reporter');
-	copy_obj('assignee');
+	copy_person('creator', issue.fields, out.fields);
+	copy_person('reporter', issue.fields, out.fields);
+	copy_person('assignee', issue.fields, out.fields);
 
 	copy_obj('resolution');
 	copy_simple('resolutiondate');
@@ -1437,26 +4188,93 @@ format_issue_assemble(issue, remotelinks, other_issues)
 			if (push) {
 				links.push(ilo);
 			}
-		}
+		}
+
+		out.fields.issuelinks = links;
+	}
+
+	/*
+	 * The parent, sub-tasks and epic of the issue are included only if
+	 * they are public, in the same way as linked issues.
+	 */
+	function copy_related(ri) {
+		if (!ri || !allow_issue(ri.key, other_issues)) {
+			return (null);
+		}
+
+		var of = other_issues[ri.key].fields;
+		var ro = {
+			id: other_issues[ri.key].id,
+			key: ri.key,
+			fields: {
+				summary: of.summary
+			}
+		};
+		[ 'issuetype', 'status', 'resolution' ].forEach(function (k) {
+			if (of[k] && of[k].name) {
+				ro.fields[k] = { name: of[k].name };
+			}
+		});
 
-		out.fields.issuelinks = links;
+		return (ro);
+	}
+
+	var parent = copy_related(issue.fields.parent);
+	if (parent !== null) {
+		out.fields.parent = parent;
+	}
+
+	if (issue.fields.subtasks) {
+		out.fields.subtasks = issue.fields.subtasks.map(
+		    copy_related).filter(function (st) {
+			return (st !== null);
+		});
+	}
+
+	var epic = copy_related(epic_key(issue) === null ? null :
+	    { key: epic_key(issue) });
+	if (epic !== null) {
+		out.fields.epic = epic;
 	}
 
 	out.fields.labels = issue.fields.labels.filter(is_allowed_label);
 
-	copy_simple('description');
+	if (issue.fields.attachment) {
+		/*
+		 * Only include attachments we are prepared to serve, and
+		 * leave out the author and the JIRA URLs for the content.
+		 */
+		out.fields.attachment = issue.fields.attachment.filter(
+		    allow_attachment).map(function (att) {
+			return ({
+				id: att.id,
+				filename: att.filename,
+				created: att.created,
+				size: att.size,
+				mimeType: att.mimeType
+			});
+		});
+	}
+
+	/*
+	 * Free-form text is passed through the content scrubber, which
+	 * redacts anything that matches one of the configured rules.
+	 */
+	var redactions = { total: 0, rules: {} };
+	function scrub(str) {
+		var sr = lib_scrub.scrub_text(str);
+
+		Object.keys(sr.counts).forEach(function (k) {
+			redactions.rules[k] = (redactions.rules[k] || 0) +
+			    sr.counts[k];
+			redactions.total += sr.counts[k];
+		});
 
-	function copy_author(fname, cfrom, cto) {
-		if (!cfrom[fname]) {
-			return;
-		}
+		return (sr.text);
+	}
 
-		cto[fname] = {
-			name: cfrom[fname].name,
-			key: cfrom[fname].key,
-			emailAddress: cfrom[fname].emailAddress,
-			displayName: cfrom[fname].displayName
-		};
+	if (issue.fields.description) {
+		out.fields.description = scrub(issue.fields.description);
 	}
 
 	if (issue.fields.comment) {
@@ -1464,12 +4282,15 @@ format_issue_assemble(issue, remotelinks, other_issues)
 		    comments: [] };
 		var c = issue.fields.comment;
 
-		if (c.maxResults !== c.total) {
-			LOG.error({
+		/*
+		 * The backend should have retrieved every comment.
+		 */
+		if (c.comments.length !== c.total) {
+			LOG.warn({
 				issue: issue.key,
 				total: c.total,
-				maxResults: c.maxResults
-			}, 'comment maxResults and total not equal for issue');
+				retrieved: c.comments.length
+			}, 'not all comments were retrieved for issue');
 		}
 
 		for (i = 0; i < c.comments.length; i++) {
@@ -1487,11 +4308,11 @@ format_issue_assemble(issue, remotelinks, other_issues)
 				id: com.id,
 				created: com.created,
 				updated: com.updated,
-				body: com.body
+				body: scrub(com.body || '')
 			};
 
-			copy_author('author', com, outcom);
-			copy_author('updateAuthor', com, outcom);
+			copy_person('author', com, outcom);
+			copy_person('updateAuthor', com, outcom);
 
 			cout.comments.push(outcom);
 			cout.maxResults++;
@@ -1501,6 +4322,20 @@ format_issue_assemble(issue, remotelinks, other_issues)
 		out.fields.comment = cout;
 	}
 
+	if (redactions.total > 0) {
+		LOG.info({
+			issue: issue.key,
+			redactions: redactions.total,
+			rules: redactions.rules
+		}, 'redacted content from issue');
+	}
+
+	Object.keys(out.fields).forEach(function (fname) {
+		if (field_hidden(fname)) {
+			delete (out.fields[fname]);
+		}
+	});
+
 	return ({
 		issue: out,
 		remotelinks: remotelinks.map(function (rl) {
@@ -1511,15 +4346,252 @@ format_issue_assemble(issue, remotelinks, other_issues)
 					title: rl.object.title
 				}
 			});
-		})
+		}),
+		hidden_remotelinks: hidden_links,
+		backend: backend_name(issue.key)
+	});
+}
+
+/*
+ * Construct the history of an issue from its changelog.  Only changes to the
+ * fields in HISTORY_FIELDS are included, and changes to the labels are
+ * limited to those labels we would otherwise display.  If the backend could
+ * not retrieve the whole changelog, "truncated" is set so that the history
+ * page can say so.
+ */
+function
+format_issue_history_assemble(issue)
+{
+	mod_assert.object(issue, 'issue');
+
+	var cl = issue.changelog;
+	var histories = (cl && Array.isArray(cl.histories)) ?
+	    cl.histories : [];
+	var truncated = false;
+
+	if (cl && typeof (cl.total) === 'number' &&
+	    cl.total > histories.length) {
+		truncated = true;
+		LOG.warn({
+			issue: issue.key,
+			total: cl.total,
+			retrieved: histories.length
+		}, 'not all changelog entries were retrieved for issue');
+	}
+
+	/*
+	 * Note that the "toString" property must be an own property of the
+	 * change, not the function inherited from Object.prototype.
+	 */
+	function item_value(item, k) {
+		if (!item.hasOwnProperty(k) || typeof (item[k]) !== 'string' ||
+		    item[k] === '') {
+			return (null);
+		}
+
+		return (item[k]);
+	}
+
+	function public_labels(str) {
+		if (str === null) {
+			return (null);
+		}
+
+		var labels = str.split(/\s+/).filter(is_allowed_label);
+
+		return (labels.length > 0 ? labels.join(' ') : null);
+	}
+
+	var out = [];
+
+	histories.forEach(function (h) {
+		if (!h || !Array.isArray(h.items)) {
+			return;
+		}
+
+		var items = [];
+
+		h.items.forEach(function (item) {
+			if (!HISTORY_FIELDS.hasOwnProperty(item.field) ||
+			    field_hidden(HISTORY_FIELDS[item.field].hf_field)) {
+				return;
+			}
+
+			var t = { field: HISTORY_FIELDS[item.field].hf_name };
+			HISTORY_ITEM_KEYS.forEach(function (k) {
+				t[k] = item_value(item, k);
+				if (item.field === 'labels') {
+					t[k] = public_labels(t[k]);
+				}
+			});
+
+			if (t.fromString === t.toString) {
+				/*
+				 * This change only involved fields or labels
+				 * we do not display.
+				 */
+				return;
+			}
+
+			items.push(t);
+		});
+
+		if (items.length === 0) {
+			return;
+		}
+
+		var ho = {
+			id: h.id,
+			created: h.created,
+			items: items
+		};
+
+		var author = redact_person(h.author);
+		if (author !== null) {
+			ho.author = author;
+		}
+
+		out.push(ho);
+	});
+
+	out.sort(function (a, b) {
+		return (Date.parse(a.created) - Date.parse(b.created));
+	});
+
+	return ({
+		key: issue.key,
+		histories: out,
+		truncated: truncated
+	});
+}
+
+function
+format_issue_history_finalise(issue, history)
+{
+	mod_assert.object(issue, 'issue');
+	mod_assert.object(history, 'history');
+
+	var out = '<h1>' + issue.key + ': ' + issue.fields.summary + '</h1>\n';
+
+	out += '<p><a href="/bugview/' + issue.key + '">Back to ' +
+	    issue.key + '</a></p>\n';
+	out += '<h2>History</h2>\n';
+
+	if (history.truncated) {
+		out += '<p><i>This history is incomplete: only some of the ' +
+		    'changes to this issue could be retrieved.</i></p>\n';
+	}
+
+	if (history.histories.length === 0) {
+		out += '<p>There are no changes to show for this issue.</p>\n';
+		return (out);
+	}
+
+	out += '<table>\n';
+	out += '<tr><th>Date</th><th>Changed by</th><th>Field</th>' +
+	    '<th>From</th><th>To</th></tr>\n';
+
+	history.histories.forEach(function (h) {
+		var when = isNaN(Date.parse(h.created)) ? '' :
+		    new Date(h.created).toISOString();
+		var who = (h.author && h.author.displayName) ?
+		    mod_ent.encode(h.author.displayName) : '';
+
+		h.items.forEach(function (item) {
+			out += [
+				'<tr><td>',
+				when,
+				'</td><td>',
+				who,
+				'</td><td>',
+				item.field,
+				'</td><td>',
+				mod_ent.encode(item.fromString || ''),
+				'</td><td>',
+				mod_ent.encode(item.toString || ''),
+				'</td></tr>'
+			].join('') + '\n';
+		});
 	});
+
+	out += '</table>\n';
+
+	return (out);
+}
+
+/*
+ * Render the epic and parent of an issue, the issue itself, and its
+ * sub-tasks, as a tree.
+ */
+function
+format_issue_hierarchy(issue)
+{
+	var f = issue.fields;
+	var subtasks = f.subtasks || [];
+
+	function item(role, ri) {
+		var state = [];
+
+		if (ri.fields.status) {
+			state.push(ri.fields.status.name);
+		}
+		if (ri.fields.resolution) {
+			state.push(ri.fields.resolution.name);
+		}
+
+		return ('<li>' + role + ' <a href="/bugview/' + ri.key + '">' +
+		    ri.key + '</a> ' + ri.fields.summary +
+		    (state.length > 0 ? ' (' + state.join(', ') + ')' : ''));
+	}
+
+	if (!f.epic && !f.parent && subtasks.length === 0 && !is_epic(issue)) {
+		return ('');
+	}
+
+	var out = '<h2>Hierarchy</h2>\n';
+	var depth = 0;
+
+	out += '<ul>\n';
+	if (f.epic) {
+		out += item('Epic', f.epic) + '\n<ul>\n';
+		depth++;
+	}
+	if (f.parent) {
+		out += item(is_epic(f.parent) ? 'Epic' : 'Parent', f.parent) +
+		    '\n<ul>\n';
+		depth++;
+	}
+
+	out += '<li><b>' + issue.key + '</b> ' + f.summary + '\n';
+	if (subtasks.length > 0) {
+		out += '<ul>\n';
+		subtasks.forEach(function (st) {
+			out += item('Sub-task', st) + '</li>\n';
+		});
+		out += '</ul>\n';
+	}
+	out += '</li>\n';
+
+	while (depth-- > 0) {
+		out += '</ul>\n</li>\n';
+	}
+	out += '</ul>\n';
+
+	if (is_epic(issue)) {
+		out += '<p><a href="/bugview/epic/' + issue.key + '">' +
+		    'View all issues in this epic</a></p>\n';
+	}
+
+	return (out);
 }
 
 function
-format_issue_finalise(issue, remotelinks)
+format_issue_finalise(issue, remotelinks, hidden_links, mentions)
 {
 	mod_assert.object(issue, 'issue');
 	mod_assert.arrayOfObject(remotelinks, 'remotelinks');
+	mod_assert.number(hidden_links, 'hidden_links');
+	mod_assert.object(mentions, 'mentions');
 
 	var i;
 	var out = '<h1>' + issue.key + ': ' + issue.fields.summary + '</h1>\n';
@@ -1545,6 +4617,8 @@ format_issue_finalise(issue, remotelinks)
 		details.push({ name: 'Updated at:',
 		    value: new Date(issue.fields.updated).toISOString() });
 	}
+	details.push({ name: 'History:', value: '<a href="/bugview/' +
+	    issue.key + '/history">View changes</a>' });
 	out += render_table('Details', details);
 
 	var people = [];
@@ -1567,8 +4641,10 @@ format_issue_finalise(issue, remotelinks)
 		for (i = 0; i < issue.fields.fixVersions.length; i++) {
 			var fv = issue.fields.fixVersions[i];
 
-			out += '<p><b>' + fv.name + '</b> (Release Date: ' +
-			    fv.releaseDate + ')</p>\n';
+			out += '<p><b><a href="/bugview/version/' +
+			    encodeURIComponent(fv.name) + '">' + fv.name +
+			    '</a></b> (Release Date: ' + fv.releaseDate +
+			    ')</p>\n';
 		}
 	}
 
@@ -1598,11 +4674,71 @@ format_issue_finalise(issue, remotelinks)
 		if (links.length > 0) {
 			out += '<h2>Related Issues</h2>\n';
 			out += '<p><ul>' + links.join('\n') + '</ul></p>\n';
+			out += '<p><a href="/bugview/' + issue.key +
+			    '/graph">View graph of related issues</a></p>\n';
 		}
 	}
 
-	if (remotelinks.length > 0) {
+	out += format_issue_hierarchy(issue);
+
+	/*
+	 * The description and comments are rendered first, so that links in
+	 * them which are not shown can be counted with the remote links.
+	 */
+	var hidden = { hl_count: 0 };
+	var markup = '';
+
+	if (issue.fields.description) {
+		markup += '<h2>Description</h2>\n';
+		markup += '<div>';
+		markup += format_markup(issue.fields.description, issue,
+		    mentions, hidden);
+		markup += '</div>\n';
+	}
+
+	if (issue.fields.comment) {
+		markup += '<h2>Comments</h2>\n';
+
+		var c = issue.fields.comment;
+
+		for (i = 0; i < c.comments.length; i++) {
+			var com = c.comments[i];
+
+			var cdtc = new Date(com.created);
+
+			if (i !== 0) {
+				markup += '<hr>\n';
+			}
+
+			markup += '<div>\n';
+			markup += '<b>';
+			markup += '<a name="comment-' + i + '"></a>';
+			markup += 'Comment';
+			if (com.author && com.author.displayName) {
+				markup += ' by ' + com.author.displayName;
+			}
+			markup += '<br>\n';
+			markup += 'Created at ' + cdtc.toISOString();
+			markup += '<br>\n';
+			if (com.updated && com.updated !== com.created) {
+				markup += 'Updated at ' +
+				    new Date(com.updated).toISOString() +
+				    '<br>\n';
+			}
+			markup += '</b>';
+			markup += format_markup(com.body, issue, mentions,
+			    hidden);
+			markup += '</div>\n';
+		}
+	}
+
+	hidden_links += hidden.hl_count;
+
+	if (remotelinks.length > 0 || hidden_links > 0) {
 		out += '<h2>Related Links</h2>\n';
+	}
+
+	if (remotelinks.length > 0) {
 		out += '<p><ul>\n';
 
 		for (i = 0; i < remotelinks.length; i++) {
@@ -1616,7 +4752,13 @@ format_issue_finalise(issue, remotelinks)
 		out += '</ul></p>\n';
 	}
 
-	var labellinks = issue.fields.labels.map(function label_link(label) {
+	if (hidden_links > 0) {
+		out += '<p><i>' + hidden_links + (hidden_links === 1 ?
+		    ' link is' : ' links are') + ' not shown.</i></p>\n';
+	}
+
+	var labellinks = (issue.fields.labels || []).map(
+	    function label_link(label) {
 		return make_label_link(label, false);
 	});
 	if (labellinks.length > 0) {
@@ -1624,53 +4766,23 @@ format_issue_finalise(issue, remotelinks)
 		out += '<p>' + labellinks.join(', ') + '</p>\n';
 	}
 
-	if (issue.fields.description) {
-		out += '<h2>Description</h2>\n';
-		out += '<div>';
-		out += format_markup(issue.fields.description);
-		out += '</div>\n';
-	}
-
-	if (issue.fields.comment) {
-		out += '<h2>Comments</h2>\n';
+	if (issue.fields.attachment && issue.fields.attachment.length > 0) {
+		out += '<h2>Attachments</h2>\n';
+		out += '<p><ul>\n';
 
-		var c = issue.fields.comment;
+		for (i = 0; i < issue.fields.attachment.length; i++) {
+			var att = issue.fields.attachment[i];
 
-		if (c.maxResults !== c.total) {
-			LOG.error({
-				issue: issue.key,
-				total: c.total,
-				maxResults: c.maxResults
-			}, 'comment maxResults and total not equal for issue');
+			out += '<li><a href="' + attachment_url(issue, att) +
+			    '">' + mod_ent.encode(att.filename) + '</a> (' +
+			    att.size + ' bytes)</li>\n';
 		}
 
-		for (i = 0; i < c.comments.length; i++) {
-			var com = c.comments[i];
-
-			var cdtc = new Date(com.created);
-
-			if (i !== 0) {
-				out += '<hr>\n';
-			}
-
-			out += '<div>\n';
-			out += '<b>';
-			out += '<a name="comment-' + i + '"></a>';
-			out += 'Comment by ' + com.author.displayName;
-			out += '<br>\n';
-			out += 'Created at ' + cdtc.toISOString();
-			out += '<br>\n';
-			if (com.updated && com.updated !== com.created) {
-				out += 'Updated at ' +
-				    new Date(com.updated).toISOString() +
-				    '<br>\n';
-			}
-			out += '</b>';
-			out += format_markup(com.body);
-			out += '</div>\n';
-		}
+		out += '</ul></p>\n';
 	}
 
+	out += markup;
+
 	return (out);
 }
 
@@ -1683,10 +4795,23 @@ format_issue_finalise(issue, remotelinks)
  * - Prevent that new tab from getting referral information ("noreferrer")
  *   about who opened it, and from controlling the bugview page via the
  *   window.opener API ("noopener").
+ *
+ * Links which the link policy does not allow are replaced with a note that the
+ * link is not shown, after the text of the link unless that includes the URL
+ * itself (e.g., a bare link), and are counted in "hidden" if it is provided.
  */
 function
-format_remote_link(link, text)
+format_remote_link(link, text, hidden)
 {
+	if (!allow_link(link)) {
+		if (hidden) {
+			hidden.hl_count++;
+		}
+
+		return ((mod_ent.decode(text).indexOf(link.trim()) === -1 ?
+		    text + ' ' : '') + '<i>(link not shown)</i>');
+	}
+
 	var anchor = '<a rel="noopener noreferrer" target="_blank" href="' +
 	    fix_url(link) + '">' + text + '</a>';
 
@@ -1700,18 +4825,69 @@ format_remote_link(link, text)
 function
 make_label_link(label, bold)
 {
+	var text = label;
+
 	if (bold) {
-		label = '<b>' + label + '</b>';
+		text = '<b>' + label + '</b>';
 	}
-	return '<a href="/bugview/label/' + label + '">' + label + '</a>';
+	return '<a href="/bugview/label/' + label + '">' + text + '</a>';
 }
 
 /*
  * Main:
  */
 
+function
+usage()
+{
+	console.error('usage: %s [--check-config | --rewrite-url URL...]',
+	    mod_path.basename(process.argv[1]));
+	process.exit(2);
+}
+
+/*
+ * Report how each URL would be rewritten by the "url_rewrites" rules in the
+ * configuration, for debugging those rules.
+ */
+function
+show_rewrites(urls)
+{
+	urls.forEach(function (url) {
+		var rw = lib_rewrite.rewrite_url(url.trim());
+
+		if (rw.rule === null) {
+			console.log('%s: no rule matches', url);
+		} else {
+			console.log('%s -> %s (url_rewrites[%d])', url, rw.url,
+			    rw.rule);
+		}
+	});
+}
+
 function
 main() {
+	var args = process.argv.slice(2);
+
+	if (args[0] === '--check-config') {
+		if (args.length !== 1) {
+			usage();
+		}
+		check_config();
+		return;
+	}
+
+	CONFIG = read_config(LOG);
+
+	if (args[0] === '--rewrite-url') {
+		if (args.length < 2) {
+			usage();
+		}
+		show_rewrites(args.slice(1));
+		return;
+	} else if (args.length > 0) {
+		usage();
+	}
+
 	read_templates(LOG);
 
 	if (process.env.UNRESTRICTED === 'yes') {
@@ -1719,15 +4895,87 @@ main() {
 		UNRESTRICTED = true;
 	}
 
+	define_metrics();
+
 	if (process.env.LOCAL_STORE) {
 		BACKEND = lib_backend_files.files_backend_init(CONFIG, LOG);
 	} else {
 		BACKEND = lib_backend_jira.jira_backend_init(CONFIG, LOG);
 	}
+	BACKEND = lib_metrics.metrics_backend_wrap(BACKEND, 'default');
+	READY_CHECKS.push({ name: 'default', backend: BACKEND });
+
+	if (CONFIG.backends) {
+		var backends = [ {
+			name: 'default',
+			label: CONFIG.label,
+			backend: BACKEND
+		} ];
+
+		CONFIG.backends.forEach(function (b) {
+			var be = lib_metrics.metrics_backend_wrap(
+			    lib_backend_jira.jira_backend_init(b, LOG), b.name);
+			READY_CHECKS.push({ name: b.name, backend: be });
+
+			backends.push({
+				name: b.name,
+				projects: b.projects,
+				label: b.label,
+				backend: be
+			});
+		});
+
+		BACKEND = lib_backend_multi.multi_backend_init(backends, LOG);
+	}
+
+	if (CONFIG.cache) {
+		BACKEND = lib_backend_cache.cache_backend_init(CONFIG.cache,
+		    LOG, BACKEND);
+	}
+
+	process.on('SIGHUP', function () {
+		reload_config(LOG);
+	});
 
 	create_http_server(LOG, function (s) {
 		SERVER = s;
 	});
+
+	if (CONFIG.metrics && CONFIG.metrics.port !== undefined) {
+		create_admin_server(LOG);
+	}
+}
+
+/*
+ * Validate a configuration and put it into effect without reading
+ * "config.json".  This is for the tests, which load this file as a module
+ * rather than starting the server.  Returns a list of problems, as for
+ * apply_config().
+ */
+function
+use_config(c)
+{
+	var errors = lib_config.config_validate(c);
+
+	if (errors.length === 0) {
+		errors = apply_config(c);
+	}
+
+	if (errors.length === 0) {
+		CONFIG = c;
+	}
+
+	return (errors);
 }
 
-main();
+if (require.main === module) {
+	main();
+} else {
+	module.exports = {
+		use_config: use_config,
+		format_issue_assemble: format_issue_assemble,
+		format_issue_finalise: format_issue_finalise,
+		format_issue_history_assemble: format_issue_history_assemble,
+		format_issue_history_finalise: format_issue_history_finalise
+	};
+}
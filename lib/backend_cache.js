@@ -0,0 +1,301 @@
+/* vim: set ts=8 sts=8 sw=8 noet: */
+
+'use strict';
+
+var mod_assert = require('assert-plus');
+var mod_verror = require('verror');
+
+var VE = mod_verror.VError;
+
+var LOG;
+var BACKEND;
+
+/*
+ * How long an entry is served from the cache before we ask the backend for it
+ * again, and for how much longer after that we are prepared to serve it if
+ * the backend returns an error.
+ */
+var TTL_MS;
+var STALE_MS;
+
+/*
+ * An upper bound on the (approximate) total size of the cached values.  Once
+ * this is exceeded, the least recently used entries are evicted.
+ */
+var MAX_BYTES;
+
+/*
+ * Cache entries are stored in "ENTRIES", keyed by a string derived from the
+ * name of the backend function and its arguments.  Each entry is also on a
+ * doubly linked list, ordered from the most recently used ("LRU_HEAD") to the
+ * least recently used ("LRU_TAIL").
+ */
+var ENTRIES;
+var LRU_HEAD;
+var LRU_TAIL;
+var TOTAL_BYTES;
+
+/*
+ * Requests for an entry that is already being fetched from the backend are
+ * queued here, so that each key results in at most one outstanding backend
+ * call.
+ */
+var PENDING;
+
+var STATS;
+
+/*
+ * Backend functions which must not be cached.  Attachments are returned as a
+ * stream, which can only be consumed once, and the readiness probe must reach
+ * the backend each time.
+ */
+var UNCACHED = [
+	'be_attachment_get',
+	'be_probe'
+];
+
+
+function
+lru_remove(ent)
+{
+	if (ent.ce_prev !== null) {
+		ent.ce_prev.ce_next = ent.ce_next;
+	} else {
+		LRU_HEAD = ent.ce_next;
+	}
+
+	if (ent.ce_next !== null) {
+		ent.ce_next.ce_prev = ent.ce_prev;
+	} else {
+		LRU_TAIL = ent.ce_prev;
+	}
+
+	ent.ce_prev = ent.ce_next = null;
+}
+
+function
+lru_insert(ent)
+{
+	ent.ce_prev = null;
+	ent.ce_next = LRU_HEAD;
+
+	if (LRU_HEAD !== null) {
+		LRU_HEAD.ce_prev = ent;
+	}
+	LRU_HEAD = ent;
+
+	if (LRU_TAIL === null) {
+		LRU_TAIL = ent;
+	}
+}
+
+function
+cache_delete(ent)
+{
+	lru_remove(ent);
+	delete (ENTRIES[ent.ce_key]);
+	TOTAL_BYTES -= ent.ce_bytes;
+}
+
+function
+cache_store(key, value)
+{
+	var old = ENTRIES[key];
+	if (old !== undefined) {
+		cache_delete(old);
+	}
+
+	var ent = {
+		ce_key: key,
+		ce_value: value,
+		ce_bytes: key.length + JSON.stringify(value).length,
+		ce_stored: Date.now(),
+		ce_prev: null,
+		ce_next: null
+	};
+
+	ENTRIES[key] = ent;
+	lru_insert(ent);
+	TOTAL_BYTES += ent.ce_bytes;
+
+	/*
+	 * Evict the least recently used entries until we are back under our
+	 * size limit.  The entry we just stored is never evicted, even if it
+	 * is larger than the limit on its own.
+	 */
+	while (TOTAL_BYTES > MAX_BYTES && LRU_TAIL !== ent) {
+		STATS.evictions++;
+		cache_delete(LRU_TAIL);
+	}
+}
+
+function
+cache_lookup(key, fetch, done)
+{
+	var ent = ENTRIES[key];
+	var now = Date.now();
+
+	if (ent !== undefined && now - ent.ce_stored < TTL_MS) {
+		STATS.hits++;
+		LOG.debug({ cache_key: key }, 'cache hit');
+
+		lru_remove(ent);
+		lru_insert(ent);
+
+		setImmediate(done, null, ent.ce_value);
+		return;
+	}
+
+	if (PENDING[key] !== undefined) {
+		STATS.hits++;
+		LOG.debug({ cache_key: key }, 'cache hit (pending fetch)');
+
+		PENDING[key].push(done);
+		return;
+	}
+
+	STATS.misses++;
+	LOG.debug({ cache_key: key, expired: ent !== undefined },
+	    'cache miss');
+
+	PENDING[key] = [ done ];
+	fetch(function (err, value) {
+		var waiters = PENDING[key];
+		delete (PENDING[key]);
+
+		/*
+		 * The entry may have been evicted or replaced while we were
+		 * waiting for the backend.
+		 */
+		ent = ENTRIES[key];
+
+		if (err) {
+			if (ent !== undefined && !VE.info(err).notfound &&
+			    Date.now() - ent.ce_stored < TTL_MS + STALE_MS) {
+				STATS.stale++;
+				LOG.warn({ err: err, cache_key: key,
+				    age_ms: Date.now() - ent.ce_stored },
+				    'backend error; serving stale cache entry');
+
+				err = null;
+				value = ent.ce_value;
+			} else if (ent !== undefined) {
+				cache_delete(ent);
+			}
+		} else {
+			cache_store(key, value);
+		}
+
+		waiters.forEach(function (w) {
+			w(err, value);
+		});
+	});
+}
+
+/*
+ * Wrap a backend function so that results are looked up in the cache first.
+ * Backend functions all accept a callback as their final argument, and the
+ * remaining arguments are used to construct the cache key.
+ *
+ * Note that cached values are shared between all callers, and must not be
+ * modified.
+ */
+function
+cache_wrap(name, func)
+{
+	mod_assert.string(name, 'name');
+	mod_assert.func(func, 'func');
+
+	return (function cached_call() {
+		var args = Array.prototype.slice.call(arguments);
+		var done = args.pop();
+
+		mod_assert.func(done, 'done');
+
+		var key = JSON.stringify([ name ].concat(args));
+
+		cache_lookup(key, function (cb) {
+			func.apply(null, args.concat([ cb ]));
+		}, done);
+	});
+}
+
+function
+cache_report()
+{
+	if (STATS.hits + STATS.misses === 0) {
+		return;
+	}
+
+	LOG.info({
+		hits: STATS.hits,
+		misses: STATS.misses,
+		stale: STATS.stale,
+		evictions: STATS.evictions,
+		entries: Object.keys(ENTRIES).length,
+		bytes: TOTAL_BYTES
+	}, 'cache statistics');
+
+	STATS.hits = STATS.misses = STATS.stale = STATS.evictions = 0;
+}
+
+/*
+ * Wrap each of the "be_*" functions of another backend with a cache.
+ */
+function
+cache_backend_init(config, log, backend)
+{
+	mod_assert.object(config, 'config');
+	mod_assert.number(config.ttl_seconds, 'config.ttl_seconds');
+	mod_assert.optionalNumber(config.stale_seconds,
+	    'config.stale_seconds');
+	mod_assert.number(config.max_megabytes, 'config.max_megabytes');
+	mod_assert.object(log, 'log');
+	mod_assert.object(backend, 'backend');
+
+	LOG = log.child({
+		component: 'cache'
+	});
+	BACKEND = backend;
+
+	TTL_MS = config.ttl_seconds * 1000;
+	STALE_MS = (config.stale_seconds || 0) * 1000;
+	MAX_BYTES = config.max_megabytes * 1024 * 1024;
+
+	ENTRIES = {};
+	LRU_HEAD = LRU_TAIL = null;
+	TOTAL_BYTES = 0;
+	PENDING = {};
+	STATS = { hits: 0, misses: 0, stale: 0, evictions: 0 };
+
+	setInterval(cache_report, 60 * 1000).unref();
+
+	LOG.info({
+		backend: BACKEND.be_name,
+		ttl_ms: TTL_MS,
+		stale_ms: STALE_MS,
+		max_bytes: MAX_BYTES
+	}, 'backend cache enabled');
+
+	var out = {
+		be_name: BACKEND.be_name
+	};
+
+	Object.keys(BACKEND).forEach(function (k) {
+		if (!k.match(/^be_/) || typeof (BACKEND[k]) !== 'function') {
+			return;
+		}
+
+		if (UNCACHED.indexOf(k) !== -1) {
+			out[k] = BACKEND[k];
+		} else {
+			out[k] = cache_wrap(k, BACKEND[k]);
+		}
+	});
+
+	return (out);
+}
+
+module.exports = {
+	cache_backend_init: cache_backend_init
+};
@@ -7,12 +7,59 @@ var mod_fs = require('fs');
 var mod_path = require('path');
 var mod_verror = require('verror');
 
+var lib_facets = require('./facets');
+var lib_scrub = require('./scrub');
+
 var VE = mod_verror.VError;
 
 var DIR;
 var ISSUES;
 var ISSUES_LIST;
 
+/*
+ * Lists of issue keys ordered by the time of creation and last update, most
+ * recent first, to match the "ORDER BY ... DESC" used by the JIRA backend.
+ */
+var ISSUES_BY_DATE;
+var SEARCH_INDEX;
+
+/*
+ * Issue files are named for the issue ID, rather than the key.  We keep a map
+ * from ID to key so that we can find the entry in "ISSUES" to update when an
+ * issue file changes or is removed.  We also remember the search terms for
+ * each issue, so that they can be removed from "SEARCH_INDEX".
+ */
+var ISSUE_KEYS;
+var SEARCH_TERMS;
+
+/*
+ * When an issue is moved to another project, it is given a new key, but can
+ * still be found by the old key.  "ALIASES" maps each old key to the issue
+ * ID, and "ISSUE_ALIASES" maps the issue ID back to its list of old keys so
+ * that they can be removed when the issue changes.
+ */
+var ALIASES;
+var ISSUE_ALIASES;
+
+/*
+ * The name of the custom field which links an issue to its epic, if any.
+ */
+var EPIC_LINK_FIELD;
+
+/*
+ * Projects which are served by one of the other "backends" in the
+ * configuration, and which are left out of issue lists here.
+ */
+var EXCLUDE_PROJECTS;
+
+/*
+ * Changes to an issue file often produce several watch events in quick
+ * succession.  We wait for things to settle before reloading the file.
+ */
+var RELOAD_DELAY_MS = 250;
+var RELOAD_TIMERS = {};
+var RESCAN_TIMER = null;
+
 
 function
 read_file(type, key)
@@ -51,33 +98,624 @@ list_files(type)
 	return (out.sort());
 }
 
+/*
+ * Break a block of text into the lower case alphanumeric terms we use as keys
+ * in the search index.  This must match the way the search query is broken
+ * into terms in the server.
+ */
+function
+search_terms(text)
+{
+	if (typeof (text) !== 'string') {
+		return ([]);
+	}
+
+	return (text.toLowerCase().match(/[a-z0-9]+/g) || []);
+}
 
+/*
+ * Collect the unique search terms from the summary, description and comment
+ * text of an issue.  Comments with visibility restrictions are not displayed,
+ * so we must not allow them to be found by a search either.  Likewise, the
+ * description and comments are indexed as they are displayed, after anything
+ * matching the scrub rules has been redacted.
+ */
 function
-files_issue_list(labels, offset, sort, done)
+issue_terms(io)
 {
-	mod_assert.arrayOfString(labels, 'labels');
+	var texts = [ io.fields.summary ];
+	var terms = {};
+
+	function scrubbed(text) {
+		if (typeof (text) === 'string') {
+			texts.push(lib_scrub.scrub_text(text).text);
+		}
+	}
+
+	scrubbed(io.fields.description);
+	if (io.fields.comment && Array.isArray(io.fields.comment.comments)) {
+		io.fields.comment.comments.forEach(function (com) {
+			if (!com.visibility) {
+				scrubbed(com.body);
+			}
+		});
+	}
+
+	texts.forEach(function (text) {
+		search_terms(text).forEach(function (term) {
+			terms[term] = true;
+		});
+	});
+
+	return (Object.keys(terms));
+}
+
+/*
+ * The "comment" field of an issue only includes the first page of comments.
+ * The complete list of comments for an issue may be stored separately in
+ * "comment/<id>.json", in the format returned by the JIRA
+ * "/issue/:key/comment" endpoint, in which case it replaces the "comment"
+ * field of the issue.
+ */
+function
+read_comments(id, io)
+{
+	var co = read_file('comment', id);
+
+	if (co === null) {
+		return;
+	}
+
+	if (!co || !Array.isArray(co.comments)) {
+		throw (new VE('comments for issue "%s" did not have expected ' +
+		    'format', id));
+	}
+
+	io.fields.comment = {
+		startAt: 0,
+		maxResults: co.comments.length,
+		total: co.comments.length,
+		comments: co.comments
+	};
+}
+
+/*
+ * Read an issue file from the store.  Returns null if the file does not
+ * exist.  If the file cannot be parsed (e.g., because it is still being
+ * written) or does not look like an issue, an error is thrown.
+ */
+function
+read_issue(id)
+{
+	var io = read_file('issue', id);
+
+	if (io === null) {
+		return (null);
+	}
+
+	if (!io || typeof (io.key) !== 'string' || !io.fields ||
+	    !Array.isArray(io.fields.labels)) {
+		throw (new VE('issue "%s" did not have expected format', id));
+	}
+
+	read_comments(id, io);
+
+	return (io);
+}
+
+/*
+ * Mock up an object like the one returned from the JIRA search we use to
+ * construct the issue list.  Needs to match with what jira_issue_list() and
+ * jira_issue_list_keys() return.
+ */
+function
+issue_summary(id, io)
+{
+	return ({
+		key: io.key,
+		id: id,
+		fields: {
+			labels: io.fields.labels,
+			summary: io.fields.summary,
+			resolution: io.fields.resolution,
+			status: io.fields.status,
+			issuetype: io.fields.issuetype,
+			fixVersions: io.fields.fixVersions,
+			created: io.fields.created,
+			updated: io.fields.updated,
+			issuelinks: io.fields.issuelinks,
+			parent: io.fields.parent,
+			epic: EPIC_LINK_FIELD ?
+			    io.fields[EPIC_LINK_FIELD] : undefined
+		}
+	});
+}
+
+/*
+ * Determine the previous keys of an issue from the "Key" changes in its
+ * changelog, if the store includes one.
+ */
+function
+issue_aliases(io)
+{
+	var aliases = [];
+	var histories = (io.changelog &&
+	    Array.isArray(io.changelog.histories)) ?
+	    io.changelog.histories : [];
+
+	histories.forEach(function (h) {
+		(h.items || []).forEach(function (item) {
+			if (item.field === 'Key' &&
+			    typeof (item.fromString) === 'string' &&
+			    item.fromString !== io.key &&
+			    aliases.indexOf(item.fromString) === -1) {
+				aliases.push(item.fromString);
+			}
+		});
+	});
+
+	return (aliases);
+}
+
+function
+issue_delete(id)
+{
+	(ISSUE_ALIASES[id] || []).forEach(function (alias) {
+		if (ALIASES[alias] === id) {
+			delete (ALIASES[alias]);
+		}
+	});
+	delete (ISSUE_ALIASES[id]);
+
+	var key = ISSUE_KEYS[id];
+
+	if (key === undefined) {
+		return;
+	}
+
+	SEARCH_TERMS[key].forEach(function (term) {
+		delete (SEARCH_INDEX[term][key]);
+
+		if (Object.keys(SEARCH_INDEX[term]).length === 0) {
+			delete (SEARCH_INDEX[term]);
+		}
+	});
+
+	delete (ISSUES[key]);
+	delete (ISSUE_KEYS[id]);
+	delete (SEARCH_TERMS[key]);
+}
+
+function
+issue_insert(id, summary, terms, aliases)
+{
+	var key = summary.key;
+
+	issue_delete(id);
+	if (ISSUES[key] !== undefined) {
+		/*
+		 * Another file previously provided this issue key.  The most
+		 * recently loaded file wins.
+		 */
+		issue_delete(ISSUES[key].id);
+	}
+
+	ISSUES[key] = summary;
+	ISSUE_KEYS[id] = key;
+	SEARCH_TERMS[key] = terms;
+
+	ISSUE_ALIASES[id] = aliases;
+	aliases.forEach(function (alias) {
+		ALIASES[alias] = id;
+	});
+
+	terms.forEach(function (term) {
+		var keys = SEARCH_INDEX[term];
+
+		if (keys === undefined) {
+			keys = SEARCH_INDEX[term] = {};
+		}
+
+		keys[key] = true;
+	});
+}
+
+/*
+ * Regenerate the lists of issue keys in each of the orders we support.
+ */
+function
+sort_issues()
+{
+	ISSUES_LIST = Object.keys(ISSUES).filter(function (key) {
+		return (EXCLUDE_PROJECTS.indexOf(
+		    lib_facets.issue_project(key)) === -1);
+	}).sort(function (a, b) {
+		var ma = a.split('-');
+		var mb = b.split('-');
+
+		if (ma[0] < mb[0]) {
+			return (-1);
+		} else if (ma[0] > mb[0]) {
+			return (1);
+		}
+
+		if (+ma[1] < +mb[1]) {
+			return (-1);
+		} else if (+ma[1] > +mb[1]) {
+			return (1);
+		}
+
+		return (0);
+	}).reverse();
+
+	var order = {};
+	ISSUES_LIST.forEach(function (key, idx) {
+		order[key] = idx;
+	});
+
+	ISSUES_BY_DATE = {};
+	[ 'created', 'updated' ].forEach(function (field) {
+		var times = {};
+
+		ISSUES_LIST.forEach(function (key) {
+			times[key] = Date.parse(ISSUES[key].fields[field]) || 0;
+		});
+
+		/*
+		 * Issues with the same time are kept in descending key order.
+		 */
+		ISSUES_BY_DATE[field] = ISSUES_LIST.slice().sort(
+		    function (a, b) {
+			if (times[a] !== times[b]) {
+				return (times[b] - times[a]);
+			}
+
+			return (order[a] - order[b]);
+		});
+	});
+}
+
+/*
+ * Load every issue in the store, replacing the current contents of the issue
+ * cache.  This is entirely synchronous, so a request can never observe a
+ * partially loaded cache.  If an issue file cannot be read, we retain what we
+ * previously knew about that issue (if anything).
+ */
+function
+scan_issues(log)
+{
+	var ids = list_files('issue');
+
+	var old_issues = ISSUES;
+	var old_keys = ISSUE_KEYS;
+	var old_terms = SEARCH_TERMS;
+	var old_aliases = ISSUE_ALIASES;
+
+	ISSUES = {};
+	ISSUE_KEYS = {};
+	SEARCH_TERMS = {};
+	SEARCH_INDEX = Object.create(null);
+	ALIASES = Object.create(null);
+	ISSUE_ALIASES = {};
+
+	for (var i = 0; i < ids.length; i++) {
+		var io;
+
+		try {
+			io = read_issue(ids[i]);
+		} catch (ex) {
+			log.warn(ex, 'skipping unreadable issue file');
+
+			var key = old_keys[ids[i]];
+			if (key !== undefined) {
+				issue_insert(ids[i], old_issues[key],
+				    old_terms[key], old_aliases[ids[i]] || []);
+			}
+			continue;
+		}
+
+		if (io === null) {
+			/*
+			 * The file was removed after we listed the directory.
+			 */
+			continue;
+		}
+
+		issue_insert(ids[i], issue_summary(ids[i], io),
+		    issue_terms(io), issue_aliases(io));
+	}
+
+	sort_issues();
+}
+
+/*
+ * Bring the issue cache up to date with the current contents of a single
+ * issue file.
+ */
+function
+reload_issue(log, id)
+{
+	var io;
+
+	try {
+		io = read_issue(id);
+	} catch (ex) {
+		/*
+		 * The file may be only partially written.  We will try again
+		 * when the next change to the file is reported.
+		 */
+		log.warn(ex, 'could not reload issue file');
+		return;
+	}
+
+	if (io === null) {
+		log.info({ issue_id: id }, 'issue removed from store');
+		issue_delete(id);
+	} else {
+		log.info({ issue_id: id, issue: io.key },
+		    'issue updated in store');
+		issue_insert(id, issue_summary(id, io), issue_terms(io),
+		    issue_aliases(io));
+	}
+
+	sort_issues();
+}
+
+function
+rescan_issues(log)
+{
+	log.info('rescanning issue cache from "%s"', DIR);
+
+	try {
+		scan_issues(log);
+	} catch (ex) {
+		log.error(ex, 'rescan of issue cache failed');
+		return;
+	}
+
+	log.info('rescanning issue cache from "%s" complete: %d issues', DIR,
+	    ISSUES_LIST.length);
+}
+
+/*
+ * Watch the issue and comment directories for changes, so that a refreshed
+ * mirror can be picked up without restarting the server.  Remote links are
+ * read from the store each time they are requested, so there is no cached
+ * state to update when they change.
+ */
+function
+watch_issues(log)
+{
+	watch_dir(log, 'issue');
+
+	/*
+	 * Comments are stored separately, and are optional.
+	 */
+	if (mod_fs.existsSync(mod_path.join(DIR, 'comment'))) {
+		watch_dir(log, 'comment');
+	}
+}
+
+/*
+ * Watch one of the directories containing issue data (named for the issue ID)
+ * for changes, and reload the affected issue.
+ */
+function
+watch_dir(log, type)
+{
+	var path = mod_path.join(DIR, type);
+
+	var watcher = mod_fs.watch(path, function (_event, filename) {
+		if (!filename) {
+			/*
+			 * Some platforms do not report the name of the file
+			 * that changed, so we must look at all of them.
+			 */
+			if (RESCAN_TIMER === null) {
+				RESCAN_TIMER = setTimeout(function () {
+					RESCAN_TIMER = null;
+					rescan_issues(log);
+				}, RELOAD_DELAY_MS);
+			}
+			return;
+		}
+
+		var m = filename.match(/^(.+)\.json$/);
+		if (m === null) {
+			return;
+		}
+
+		var id = m[1];
+		if (RELOAD_TIMERS[id] !== undefined) {
+			clearTimeout(RELOAD_TIMERS[id]);
+		}
+		RELOAD_TIMERS[id] = setTimeout(function () {
+			delete (RELOAD_TIMERS[id]);
+			reload_issue(log, id);
+		}, RELOAD_DELAY_MS);
+	});
+
+	watcher.on('error', function (err) {
+		log.error(err, 'error watching "%s"; send SIGHUP to rescan',
+		    path);
+	});
+}
+
+function
+has_labels(issue, labels)
+{
+	function has_label(label) {
+		return (issue.fields.labels.indexOf(label) !== -1);
+	}
+
+	for (var i = 0; i < labels.length; i++) {
+		if (Array.isArray(labels[i]) ? !labels[i].some(has_label) :
+		    !has_label(labels[i])) {
+			return (false);
+		}
+	}
+
+	return (true);
+}
+
+
+function
+files_issue_list(labels, filters, offset, sort, done)
+{
+	lib_facets.assert_labels(labels);
+	mod_assert.object(filters, 'filters');
 	mod_assert.number(offset, 'offset');
 	mod_assert.string(sort, 'sort');
 	mod_assert.ok(!isNaN(offset) && offset >= 0, 'offset >= 0');
 	mod_assert.func(done, 'done');
 
-	if (sort !== 'key') {
-		done(new VE('invalid sort "%s"', sort));
+	var list;
+	if (sort === 'created' || sort === 'updated') {
+		list = ISSUES_BY_DATE[sort];
+	} else if (sort === 'key') {
+		list = ISSUES_LIST;
+	} else {
+		setImmediate(done, new VE('invalid sort "%s"', sort));
 		return;
 	}
 
 	var maxResults = 50;
 
-	var keys = ISSUES_LIST.filter(function (key) {
+	var keys = list.filter(function (key) {
+		return (has_labels(ISSUES[key], labels) &&
+		    lib_facets.facets_match(ISSUES[key], filters));
+	});
+
+	var res = {
+		total: keys.length,
+		issues: keys.slice(offset, offset + maxResults).map(
+		    function (key) {
+			return (ISSUES[key]);
+		})
+	};
+
+	setImmediate(done, null, res);
+}
+
+function
+files_issue_facets(labels, filters, done)
+{
+	lib_facets.assert_labels(labels);
+	mod_assert.object(filters, 'filters');
+	mod_assert.func(done, 'done');
+
+	var counts = lib_facets.facets_count_create();
+	var total = 0;
+
+	ISSUES_LIST.forEach(function (key) {
 		var issue = ISSUES[key];
 
-		for (var i = 0; i < labels.length; i++) {
-			if (issue.fields.labels.indexOf(labels[i]) === -1) {
+		if (has_labels(issue, labels) &&
+		    lib_facets.facets_match(issue, filters)) {
+			lib_facets.facets_count_add(counts, issue);
+			total++;
+		}
+	});
+
+	setImmediate(done, null, {
+		total: total,
+		complete: true,
+		counts: counts
+	});
+}
+
+function
+files_issue_list_version(labels, version, done)
+{
+	lib_facets.assert_labels(labels);
+	mod_assert.string(version, 'version');
+	mod_assert.func(done, 'done');
+
+	var filters = { fixVersion: version };
+	var issues = ISSUES_LIST.filter(function (key) {
+		return (has_labels(ISSUES[key], labels) &&
+		    lib_facets.facets_match(ISSUES[key], filters));
+	}).map(function (key) {
+		return (ISSUES[key]);
+	});
+
+	setImmediate(done, null, {
+		total: issues.length,
+		complete: true,
+		issues: issues
+	});
+}
+
+/*
+ * List every issue in an epic; i.e., either linked to the epic with the
+ * configured "Epic Link" field, or a child of the epic.
+ */
+function
+files_issue_list_epic(labels, epic, done)
+{
+	lib_facets.assert_labels(labels);
+	mod_assert.string(epic, 'epic');
+	mod_assert.func(done, 'done');
+
+	var issues = ISSUES_LIST.filter(function (key) {
+		var f = ISSUES[key].fields;
+
+		return (has_labels(ISSUES[key], labels) &&
+		    (f.epic === epic || (f.parent && f.parent.key === epic)));
+	}).map(function (key) {
+		return (ISSUES[key]);
+	});
+
+	setImmediate(done, null, {
+		total: issues.length,
+		complete: true,
+		issues: issues
+	});
+}
+
+function
+files_issue_list_keys(keys, done)
+{
+	mod_assert.arrayOfString(keys, 'keys');
+	mod_assert.func(done, 'done');
+
+	var issues = keys.filter(function (key) {
+		return (ISSUES.hasOwnProperty(key));
+	}).map(function (key) {
+		return (ISSUES[key]);
+	});
+
+	setImmediate(done, null, {
+		total: issues.length,
+		issues: issues
+	});
+}
+
+function
+files_issue_search(labels, terms, offset, done)
+{
+	mod_assert.arrayOfString(labels, 'labels');
+	mod_assert.arrayOfString(terms, 'terms');
+	mod_assert.ok(terms.length > 0, 'terms.length > 0');
+	mod_assert.number(offset, 'offset');
+	mod_assert.ok(!isNaN(offset) && offset >= 0, 'offset >= 0');
+	mod_assert.func(done, 'done');
+
+	var maxResults = 50;
+
+	/*
+	 * An issue matches if every term appears somewhere in its text.
+	 */
+	var keys = ISSUES_LIST.filter(function (key) {
+		for (var i = 0; i < terms.length; i++) {
+			var matches = SEARCH_INDEX[terms[i]];
+
+			if (matches === undefined || !matches[key]) {
 				return (false);
 			}
 		}
 
-		return (true);
+		return (has_labels(ISSUES[key], labels));
 	});
 
 	var res = {
@@ -102,17 +740,29 @@ files_issue_get(key, done)
 		return;
 	}
 
-	var id = ISSUES[key].id;
-	var issue;
-	if (!id || (issue = read_file('issue', id)) === null) {
-		setImmediate(done, new VE({ info: { notfound: true }},
-		    'get issue "%s": not found'));
-		return;
+	/*
+	 * The key may be an old key for an issue that has since moved, in
+	 * which case the issue is returned with its current key.
+	 */
+	var id = null;
+	if (ISSUES.hasOwnProperty(key)) {
+		id = ISSUES[key].id;
+	} else if (ALIASES[key] !== undefined) {
+		id = ALIASES[key];
 	}
 
-	if (!issue || !issue.fields || !issue.fields.labels) {
-		setImmediate(done, new VE(
-		    'issue "%s" did not have expected format', key));
+	var issue = null;
+	if (id !== null) {
+		try {
+			issue = read_issue(id);
+		} catch (ex) {
+			setImmediate(done, ex);
+			return;
+		}
+	}
+	if (issue === null) {
+		setImmediate(done, new VE({ info: { notfound: true }},
+		    'get issue "%s": not found', key));
 		return;
 	}
 
@@ -120,12 +770,19 @@ files_issue_get(key, done)
 }
 
 function
-files_remotelink_get(id, done)
+files_remotelink_get(key, id, done)
 {
+	mod_assert.string(key, 'key');
 	mod_assert.string(id, 'id');
 	mod_assert.func(done, 'done');
 
-	var rlink = read_file('remotelink', id);
+	var rlink;
+	try {
+		rlink = read_file('remotelink', id);
+	} catch (ex) {
+		setImmediate(done, ex);
+		return;
+	}
 	if (rlink === null) {
 		/*
 		 * If there is no remote link list for this issue, just return
@@ -144,61 +801,99 @@ files_remotelink_get(id, done)
 	setImmediate(done, null, rlink);
 }
 
+/*
+ * The contents of each attachment are stored in "attachment/<id>", where "id"
+ * is the ID of the attachment (not the issue).
+ */
 function
-files_backend_init(_config, log)
+files_attachment_get(key, attachment, done)
 {
-	mod_assert.string(process.env.LOCAL_STORE, 'LOCAL_STORE');
-	DIR = process.env.LOCAL_STORE;
+	mod_assert.string(key, 'key');
+	mod_assert.object(attachment, 'attachment');
+	mod_assert.string(attachment.id, 'attachment.id');
+	mod_assert.func(done, 'done');
 
-	log.info('loading issue cache from "%s"', DIR);
+	if (!attachment.id.match(/^[0-9]+$/)) {
+		setImmediate(done, new VE('attachment ID "%s" not valid',
+		    attachment.id));
+		return;
+	}
 
-	ISSUES = {};
-	var ids = list_files('issue');
-	for (var i = 0; i < ids.length; i++) {
-		var io = read_file('issue', ids[i]);
+	var path = mod_path.join(DIR, 'attachment', attachment.id);
 
-		/*
-		 * Mock up an object like the one returned from the JIRA search
-		 * we use to construct the issue list.  Needs to match with
-		 * what jira_issue_list() returns.
-		 */
-		ISSUES[io.key] = {
-			key: io.key,
-			id: ids[i],
-			fields: {
-				labels: io.fields.labels,
-				summary: io.fields.summary,
-				resolution: io.fields.resolution
-			}
-		};
+	mod_fs.stat(path, function (err) {
+		if (err) {
+			done(new VE({ cause: err, info: {
+			    notfound: err.code === 'ENOENT' } },
+			    'get attachment "%s"', attachment.id));
+			return;
+		}
+
+		done(null, mod_fs.createReadStream(path));
+	});
+}
+
+/*
+ * Check that the issue cache has been loaded, for the readiness check.
+ */
+function
+files_probe(done)
+{
+	mod_assert.func(done, 'done');
+
+	if (!ISSUES || !ISSUES_LIST) {
+		setImmediate(done, new VE('issue cache not loaded'));
+		return;
 	}
-	ISSUES_LIST = Object.keys(ISSUES).sort(function (a, b) {
-		var ma = a.split('-');
-		var mb = b.split('-');
 
-		if (ma[0] < mb[0]) {
-			return (-1);
-		} else if (ma[0] > mb[0]) {
-			return (1);
-		}
+	setImmediate(done, null, { issues: ISSUES_LIST.length });
+}
 
-		if (+ma[1] < +mb[1]) {
-			return (-1);
-		} else if (+ma[1] > +mb[1]) {
-			return (1);
-		}
+function
+files_backend_init(config, log)
+{
+	mod_assert.string(process.env.LOCAL_STORE, 'LOCAL_STORE');
+	DIR = process.env.LOCAL_STORE;
+	EPIC_LINK_FIELD = config.epic_link_field;
+	EXCLUDE_PROJECTS = [];
+	(config.backends || []).forEach(function (b) {
+		EXCLUDE_PROJECTS = EXCLUDE_PROJECTS.concat(b.projects);
+	});
 
-		return (0);
-	}).reverse();
+	log.info('loading issue cache from "%s"', DIR);
+
+	ISSUES = {};
+	ISSUE_KEYS = {};
+	SEARCH_TERMS = {};
+	ISSUE_ALIASES = {};
+	scan_issues(log);
 
 	log.info('loading issue cache from "%s" complete: %d issues', DIR,
-	    Object.keys(ISSUES).length);
+	    ISSUES_LIST.length);
+
+	watch_issues(log);
+	process.on('SIGHUP', function () {
+		/*
+		 * The server reloads its configuration on the same signal.
+		 * We wait for that, so that the issues are indexed with any
+		 * new scrub rules.
+		 */
+		setImmediate(rescan_issues, log);
+	});
 
 	return ({
 		be_name: 'files',
 		be_issue_list: files_issue_list,
+		be_issue_facets: files_issue_facets,
+		be_issue_search: files_issue_search,
+		be_issue_list_version: files_issue_list_version,
+		be_issue_list_epic: files_issue_list_epic,
+		be_issue_list_keys: files_issue_list_keys,
 		be_issue_get: files_issue_get,
-		be_remotelink_get: files_remotelink_get
+		be_issue_get_brief: files_issue_get,
+		be_remotelink_get: files_remotelink_get,
+		be_attachment_get: files_attachment_get,
+		be_probe: files_probe
 	});
 }
 
@@ -6,17 +6,178 @@ var mod_assert = require('assert-plus');
 var mod_restify = require('restify');
 var mod_verror = require('verror');
 var mod_querystring = require('querystring');
+var mod_url = require('url');
+
+var lib_facets = require('./facets');
 
 var VE = mod_verror.VError;
 
-var JIRA;
-var CONFIG;
+/*
+ * More than one JIRA server may be in use at once, so the configuration and
+ * HTTP clients for each are kept in a separate object, "jb", which is passed
+ * as the first argument of each function here:
+ *
+ *	jb_config	the configuration for this server ("url", "username",
+ *			"password", etc.)
+ *	jb_client	a JSON client for the REST API
+ *	jb_raw		an HTTP client, for streaming attachments
+ *
+ *	jb_projects	if not null, the only projects to include in issue
+ *			lists (from "projects" in the configuration)
+ *
+ *	jb_exclude_projects
+ *			projects to leave out of issue lists, as they are
+ *			served by one of the other "backends" in the
+ *			configuration
+ */
+
+/*
+ * Computing facet counts requires us to look at every issue in the index.  We
+ * fetch them in large pages, and stop after a fixed number of issues so that a
+ * very large index cannot generate more than a couple of requests.
+ */
+var FACET_PAGE_SIZE = 1000;
+var FACET_MAX_ISSUES = 2000;
+
+/*
+ * Listing the issues in a release or an epic is limited in the same way.
+ */
+var LIST_PAGE_SIZE = 1000;
+var LIST_MAX_ISSUES = 10000;
+
+/*
+ * Issues looked up by key are fetched in batches of this size (which is well
+ * within the limit JIRA places on the size of a page of search results), with
+ * only these fields.
+ */
+var KEYS_BATCH_SIZE = 50;
+var KEYS_FIELDS = [
+	'summary',
+	'labels',
+	'issuetype',
+	'status',
+	'resolution',
+	'issuelinks'
+];
+
+/*
+ * The "comment" field of an issue only includes the first page of comments.
+ * The remainder are fetched separately, in pages of this size.
+ */
+var COMMENT_PAGE_SIZE = 100;
+
+/*
+ * Likewise, the changelog included with an issue may be only a page of its
+ * histories.  The whole changelog is then fetched again, in pages of this
+ * size, from the changelog resource.
+ */
+var CHANGELOG_PAGE_SIZE = 100;
+
+
+/*
+ * Perform a JQL search, returning the total number of matching issues and the
+ * requested page of results.  JIRA rejects a query which compares a field
+ * with a value that does not exist (e.g., an unknown status or fix version);
+ * the error for a rejected query has the "badquery" property in its info.
+ */
+function
+jira_search(jb, qopts, done)
+{
+	mod_assert.object(qopts, 'qopts');
+	mod_assert.string(qopts.jql, 'qopts.jql');
+	mod_assert.func(done, 'done');
+
+	var url = jb.jb_config.url.path + '/search?' +
+	    mod_querystring.stringify(qopts);
+
+	jb.jb_client.get(url, function (err, req, res, results) {
+		if (err) {
+			var info = {};
+
+			if (err.statusCode === 400) {
+				info.badquery = true;
+			}
+
+			done(new VE({ cause: err, info: info },
+			    'communicating with JIRA'));
+			return;
+		}
+
+		if (!Array.isArray(results.issues)) {
+			done(new VE('"issues" not an array in response'));
+			return;
+		}
+
+		done(null, {
+			total: Number(results.total) || 0,
+			issues: results.issues
+		});
+	});
+}
+
+/*
+ * Quote a string for use as a value in a JQL query.
+ */
+function
+jql_string(str)
+{
+	mod_assert.string(str, 'str');
 
+	return ('"' + str.replace(/[\\"]/g, '\\$&') + '"');
+}
 
+/*
+ * Construct the JQL clauses which select issues with the provided labels that
+ * match the provided facet filters.
+ */
 function
-jira_issue_list(labels, offset, sort, done)
+jql_clauses(jb, labels, filters)
 {
-	mod_assert.arrayOfString(labels, 'labels');
+	var clauses = labels.map(function (label) {
+		if (Array.isArray(label)) {
+			return ('labels in (' + label.map(jql_string).join(
+			    ', ') + ')');
+		}
+
+		return ('labels = ' + jql_string(label));
+	});
+
+	lib_facets.FACETS.forEach(function (facet) {
+		var f = filters[facet];
+
+		if (f === undefined) {
+			return;
+		}
+
+		if (facet === 'resolution' && f === lib_facets.UNRESOLVED) {
+			clauses.push('resolution is EMPTY');
+			return;
+		}
+
+		clauses.push(facet + ' = ' + jql_string(f));
+	});
+
+	if (filters.project !== undefined) {
+		clauses.push('project = ' + jql_string(filters.project));
+	}
+
+	if (jb.jb_projects !== null) {
+		clauses.push('project in (' + jb.jb_projects.map(
+		    jql_string).join(', ') + ')');
+	}
+	if (jb.jb_exclude_projects.length > 0) {
+		clauses.push('project not in (' + jb.jb_exclude_projects.map(
+		    jql_string).join(', ') + ')');
+	}
+
+	return (clauses);
+}
+
+function
+jira_issue_list(jb, labels, filters, offset, sort, done)
+{
+	lib_facets.assert_labels(labels);
+	mod_assert.object(filters, 'filters');
 	mod_assert.number(offset, 'offset');
 	mod_assert.ok(!isNaN(offset) && offset >= 0, 'offset >= 0');
 	mod_assert.string(sort, 'sort');
@@ -24,9 +185,7 @@ jira_issue_list(labels, offset, sort, done)
 
 	var maxResults = 50;
 
-	var jql = labels.map(function (label) {
-		return ('labels = "' + label + '"');
-	}).join(' AND ');
+	var jql = jql_clauses(jb, labels, filters).join(' AND ');
 
 	var qopts = {
 		maxResults: maxResults,
@@ -43,31 +202,379 @@ jira_issue_list(labels, offset, sort, done)
 		return;
 	}
 
-	var url = CONFIG.url.path + '/search?' +
-	    mod_querystring.stringify(qopts);
-
-	JIRA.get(url, function (err, req, res, results) {
+	jira_search(jb, qopts, function (err, results) {
 		if (err) {
-			done(new VE(err, 'communicating with JIRA'));
+			done(err);
 			return;
 		}
 
-		if (!Array.isArray(results.issues)) {
-			done(new VE('"issues" not an array in response'));
+		results.total = results.total || 10000000;
+		done(null, results);
+	});
+}
+
+/*
+ * Count the number of issues with each value of each facet, amongst the issues
+ * with the provided labels that match the provided facet filters.
+ */
+function
+jira_issue_facets(jb, labels, filters, done)
+{
+	lib_facets.assert_labels(labels);
+	mod_assert.object(filters, 'filters');
+	mod_assert.func(done, 'done');
+
+	var counts = lib_facets.facets_count_create();
+	var examined = 0;
+	var total = null;
+
+	var jql = jql_clauses(jb, labels, filters).join(' AND ');
+
+	function next_page() {
+		var qopts = {
+			maxResults: FACET_PAGE_SIZE,
+			startAt: examined,
+			fields: lib_facets.FACET_FIELDS.join(','),
+			jql: jql
+		};
+
+		jira_search(jb, qopts, function (err, results) {
+			if (err) {
+				done(err);
+				return;
+			}
+
+			total = results.total;
+			results.issues.forEach(function (issue) {
+				lib_facets.facets_count_add(counts, issue);
+			});
+			examined += results.issues.length;
+
+			if (results.issues.length > 0 && examined < total &&
+			    examined < FACET_MAX_ISSUES) {
+				next_page();
+				return;
+			}
+
+			done(null, {
+				total: total,
+				complete: examined >= total,
+				counts: counts
+			});
+		});
+	}
+
+	next_page();
+}
+
+/*
+ * Fetch every issue matching a JQL query, up to a limit, in key order.
+ */
+function
+jira_search_all(jb, jql, fields, done)
+{
+	mod_assert.string(jql, 'jql');
+	mod_assert.arrayOfString(fields, 'fields');
+	mod_assert.func(done, 'done');
+
+	var issues = [];
+	var total = null;
+
+	jql += ' ORDER BY key ASC';
+
+	function next_page() {
+		var qopts = {
+			maxResults: LIST_PAGE_SIZE,
+			startAt: issues.length,
+			fields: fields.join(','),
+			jql: jql
+		};
+
+		jira_search(jb, qopts, function (err, results) {
+			if (err) {
+				done(err);
+				return;
+			}
+
+			total = results.total;
+			issues = issues.concat(results.issues);
+
+			if (results.issues.length > 0 &&
+			    issues.length < total &&
+			    issues.length < LIST_MAX_ISSUES) {
+				next_page();
+				return;
+			}
+
+			done(null, {
+				total: total,
+				complete: issues.length >= total,
+				issues: issues
+			});
+		});
+	}
+
+	next_page();
+}
+
+/*
+ * List every issue with a particular fix version, for the release notes.
+ */
+function
+jira_issue_list_version(jb, labels, version, done)
+{
+	lib_facets.assert_labels(labels);
+	mod_assert.string(version, 'version');
+	mod_assert.func(done, 'done');
+
+	var jql = jql_clauses(jb, labels, { fixVersion: version }).join(
+	    ' AND ');
+
+	jira_search_all(jb, jql, [ 'summary', 'resolution', 'issuetype',
+	    'fixVersions' ], done);
+}
+
+/*
+ * List every issue in an epic.  Depending on the version and configuration of
+ * JIRA, issues are either attached to an epic with the "Epic Link" custom
+ * field, or are children of the epic in the same way as sub-tasks.
+ */
+function
+jira_issue_list_epic(jb, labels, epic, done)
+{
+	lib_facets.assert_labels(labels);
+	mod_assert.string(epic, 'epic');
+	mod_assert.func(done, 'done');
+
+	var members = [ 'parent = ' + jql_string(epic) ];
+	if (jb.jb_config.epic_link_field) {
+		members.push('cf[' + jb.jb_config.epic_link_field.replace(
+		    /^customfield_/, '') + '] = ' + jql_string(epic));
+	}
+
+	var jql = jql_clauses(jb, labels, {}).concat([
+		'(' + members.join(' OR ') + ')'
+	]).join(' AND ');
+
+	jira_search_all(jb, jql, [ 'summary', 'resolution', 'status',
+	    'issuetype' ], done);
+}
+
+/*
+ * Look up a list of issues by key, returning only the fields needed to
+ * describe a related issue (e.g., a linked issue or a sub-task): whether it
+ * is public, its summary, type, status and resolution, and its own links.
+ * This is much cheaper than fetching each issue in full with
+ * jira_issue_get(), which also fetches the changelog and every comment.  Keys
+ * are looked up in batches of KEYS_BATCH_SIZE, one after another.  Keys
+ * which do not exist are left out of the results.
+ */
+function
+jira_issue_list_keys(jb, keys, done)
+{
+	mod_assert.arrayOfString(keys, 'keys');
+	mod_assert.func(done, 'done');
+
+	var issues = [];
+	var pos = 0;
+
+	function next_batch() {
+		if (pos >= keys.length) {
+			done(null, { total: issues.length, issues: issues });
 			return;
 		}
 
-		done(null, {
-			total: Number(results.total) || 10000000,
-			issues: results.issues
+		var batch = keys.slice(pos, pos + KEYS_BATCH_SIZE);
+		pos += batch.length;
+
+		var qopts = {
+			maxResults: batch.length,
+			startAt: 0,
+			fields: KEYS_FIELDS.join(','),
+			jql: 'key in (' + batch.map(jql_string).join(', ') +
+			    ')',
+
+			/*
+			 * Otherwise, JIRA fails the entire query if any of
+			 * the keys does not exist.
+			 */
+			validateQuery: 'false'
+		};
+
+		jira_search(jb, qopts, function (err, results) {
+			if (err) {
+				done(err);
+				return;
+			}
+
+			issues = issues.concat(results.issues);
+			next_batch();
 		});
+	}
+
+	next_batch();
+}
+
+/*
+ * Search for issues with the provided labels that contain every one of the
+ * provided search terms.  The "text" field in JQL covers the summary,
+ * description and comments of each issue.  Results are returned in the
+ * relevance order determined by JIRA.
+ */
+function
+jira_issue_search(jb, labels, terms, offset, done)
+{
+	mod_assert.arrayOfString(labels, 'labels');
+	mod_assert.arrayOfString(terms, 'terms');
+	mod_assert.ok(terms.length > 0, 'terms.length > 0');
+	mod_assert.number(offset, 'offset');
+	mod_assert.ok(!isNaN(offset) && offset >= 0, 'offset >= 0');
+	mod_assert.func(done, 'done');
+
+	var maxResults = 50;
+
+	var clauses = jql_clauses(jb, labels, {});
+
+	/*
+	 * The caller has already reduced each term to a run of alphanumeric
+	 * characters, so there is nothing which requires escaping here.
+	 *
+	 * We search only the summary and description.  A "text" or "comment"
+	 * search would also match comments with visibility restrictions, which
+	 * we do not show, and so would reveal that an issue has them.
+	 */
+	terms.forEach(function (term) {
+		mod_assert.ok(/^[a-z0-9]+$/.test(term), 'alphanumeric term');
+
+		clauses.push('(summary ~ "' + term + '" OR description ~ "' +
+		    term + '")');
 	});
+
+	var qopts = {
+		maxResults: maxResults,
+		startAt: offset,
+		fields: [ 'summary', 'resolution', 'updated',
+		    'created' ].join(','),
+		jql: clauses.join(' AND ')
+	};
+
+	jira_search(jb, qopts, done);
+}
+
+/*
+ * List issues which have been updated within the last "minutes" minutes (or
+ * all issues, if "minutes" is null), in the order in which they were updated.
+ * If "labels" is non-empty, only issues with all of those labels are
+ * included.  The labels of each issue are returned, so that the mirror tool
+ * can tell whether an issue is still public.
+ */
+function
+jira_issue_list_updated(jb, labels, minutes, offset, done)
+{
+	mod_assert.arrayOfString(labels, 'labels');
+	mod_assert.optionalNumber(minutes, 'minutes');
+	mod_assert.number(offset, 'offset');
+	mod_assert.ok(!isNaN(offset) && offset >= 0, 'offset >= 0');
+	mod_assert.func(done, 'done');
+
+	var clauses = jql_clauses(jb, labels, {});
+
+	if (minutes !== null && minutes !== undefined) {
+		mod_assert.ok(minutes > 0, 'minutes > 0');
+
+		clauses.push('updated >= "-' + Math.ceil(minutes) + 'm"');
+	}
+	mod_assert.ok(clauses.length > 0, 'labels or minutes required');
+
+	var qopts = {
+		maxResults: 50,
+		startAt: offset,
+		fields: [ 'summary', 'labels', 'updated' ].join(','),
+		jql: clauses.join(' AND ') + ' ORDER BY updated ASC'
+	};
+
+	jira_search(jb, qopts, done);
+}
+
+/*
+ * Fetch the rest of the changelog for an issue, if JIRA returned only part of
+ * it.  Older versions of JIRA do not provide the changelog resource; for
+ * those, we keep the partial changelog and the history notes that it is
+ * incomplete.
+ */
+function
+jira_changelog_complete(jb, issue, done)
+{
+	var cl = issue.changelog;
+
+	if (!cl || !Array.isArray(cl.histories) ||
+	    cl.histories.length >= cl.total) {
+		setImmediate(done);
+		return;
+	}
+
+	var histories = [];
+	var total = cl.total;
+
+	function next_page() {
+		var url = jb.jb_config.url.path + '/issue/' + issue.key +
+		    '/changelog?' + mod_querystring.stringify({
+			startAt: histories.length,
+			maxResults: CHANGELOG_PAGE_SIZE
+		});
+
+		jb.jb_client.get(url, function (err, req, res, page) {
+			if (err && err.name === 'NotFoundError' &&
+			    histories.length === 0) {
+				done();
+				return;
+			}
+
+			if (err) {
+				done(new VE(err, 'get changelog (startAt %d)',
+				    histories.length));
+				return;
+			}
+
+			if (!page || !Array.isArray(page.values)) {
+				done(new VE('changelog did not have expected ' +
+				    'format'));
+				return;
+			}
+
+			histories = histories.concat(page.values);
+			total = Number(page.total) || 0;
+
+			if (page.values.length > 0 &&
+			    histories.length < total) {
+				next_page();
+				return;
+			}
+
+			issue.changelog = {
+				startAt: 0,
+				maxResults: histories.length,
+				total: histories.length,
+				histories: histories
+			};
+
+			done();
+		});
+	}
+
+	next_page();
 }
 
+/*
+ * Fetch an issue.  If "full" is set, we also fetch the changelog and every
+ * comment, as needed to display the issue itself or its history; otherwise,
+ * we fetch only the fields JIRA returns by default.
+ */
 function
-jira_issue_get(key, done)
+jira_issue_fetch(jb, key, full, done)
 {
 	mod_assert.string(key, 'key');
+	mod_assert.bool(full, 'full');
 	mod_assert.func(done, 'done');
 
 	if (!key.match(/-/)) {
@@ -75,9 +582,14 @@ jira_issue_get(key, done)
 		return;
 	}
 
-	var url = CONFIG.url.path + '/issue/' + key;
+	/*
+	 * For a full fetch we ask for the changelog as well, from which the
+	 * history of the issue is constructed.
+	 */
+	var url = jb.jb_config.url.path + '/issue/' + key +
+	    (full ? '?expand=changelog' : '');
 
-	JIRA.get(url, function (err, req, res, issue) {
+	jb.jb_client.get(url, function (err, req, res, issue) {
 		if (err) {
 			var info = {};
 
@@ -96,13 +608,112 @@ jira_issue_get(key, done)
 			return;
 		}
 
-		done(null, issue);
+		if (!full) {
+			done(null, issue);
+			return;
+		}
+
+		jira_comments_complete(jb, issue, function (_err) {
+			if (_err) {
+				done(new VE(_err, 'get issue "%s"', key));
+				return;
+			}
+
+			jira_changelog_complete(jb, issue, function (__err) {
+				if (__err) {
+					done(new VE(__err, 'get issue "%s"',
+					    key));
+					return;
+				}
+
+				done(null, issue);
+			});
+		});
 	});
 }
 
 function
-jira_remotelink_get(id, done)
+jira_issue_get(jb, key, done)
+{
+	jira_issue_fetch(jb, key, true, done);
+}
+
+function
+jira_issue_get_brief(jb, key, done)
 {
+	jira_issue_fetch(jb, key, false, done);
+}
+
+/*
+ * If the "comment" field of an issue does not include every comment, page
+ * through the comments for the issue and replace the field with the complete
+ * list.
+ */
+function
+jira_comments_complete(jb, issue, done)
+{
+	var c = issue.fields.comment;
+
+	if (!c || !Array.isArray(c.comments) ||
+	    c.comments.length >= c.total) {
+		setImmediate(done);
+		return;
+	}
+
+	var comments = c.comments.slice();
+	var total = c.total;
+
+	function next_page() {
+		var url = jb.jb_config.url.path + '/issue/' + issue.key +
+		    '/comment?' + mod_querystring.stringify({
+			startAt: comments.length,
+			maxResults: COMMENT_PAGE_SIZE
+		});
+
+		jb.jb_client.get(url, function (err, req, res, page) {
+			if (err) {
+				done(new VE(err, 'get comments (startAt %d)',
+				    comments.length));
+				return;
+			}
+
+			if (!page || !Array.isArray(page.comments)) {
+				done(new VE('comments did not have expected ' +
+				    'format'));
+				return;
+			}
+
+			comments = comments.concat(page.comments);
+			total = Number(page.total) || 0;
+
+			/*
+			 * Comments may be deleted while we are paging through
+			 * them, so we also stop if we get an empty page.
+			 */
+			if (page.comments.length > 0 &&
+			    comments.length < total) {
+				next_page();
+				return;
+			}
+
+			issue.fields.comment = {
+				startAt: 0,
+				maxResults: comments.length,
+				total: comments.length,
+				comments: comments
+			};
+
+			done();
+		});
+	}
+
+	next_page();
+}
+
+function
+jira_remotelink_get(jb, key, id, done)
+{
+	mod_assert.string(key, 'key');
 	mod_assert.string(id, 'id');
 	mod_assert.func(done, 'done');
 
@@ -111,9 +722,9 @@ jira_remotelink_get(id, done)
 		return;
 	}
 
-	var url = CONFIG.url.path + '/issue/' + id + '/remotelink';
+	var url = jb.jb_config.url.path + '/issue/' + id + '/remotelink';
 
-	JIRA.get(url, function (err, req, res, links) {
+	jb.jb_client.get(url, function (err, req, res, links) {
 		if (err) {
 			done(new VE(err, 'get issue links "%s"', id));
 			return;
@@ -125,26 +736,135 @@ jira_remotelink_get(id, done)
 	});
 }
 
+/*
+ * Fetch the contents of an attachment, as described by an entry in the
+ * "attachment" field of an issue.  The result is a readable stream.
+ */
+function
+jira_attachment_get(jb, key, attachment, done)
+{
+	mod_assert.string(key, 'key');
+	mod_assert.object(attachment, 'attachment');
+	mod_assert.string(attachment.id, 'attachment.id');
+	mod_assert.string(attachment.content, 'attachment.content');
+	mod_assert.func(done, 'done');
+
+	/*
+	 * We send our JIRA credentials with this request, so we must make
+	 * sure that the content URL refers to the JIRA server.
+	 */
+	var url = mod_url.parse(attachment.content);
+	var base = mod_url.parse(jb.jb_config.url.base);
+	if (url.protocol !== base.protocol || url.host !== base.host) {
+		setImmediate(done, new VE('attachment "%s" content URL is ' +
+		    'not on the JIRA server', attachment.id));
+		return;
+	}
+
+	jb.jb_raw.get(url.path, function (err, req) {
+		if (err) {
+			done(new VE(err, 'get attachment "%s"', attachment.id));
+			return;
+		}
+
+		req.on('result', function (_err, res) {
+			if (_err) {
+				var info = {};
+
+				if (_err.name === 'NotFoundError') {
+					info.notfound = true;
+				}
+				if (res) {
+					res.resume();
+				}
+
+				done(new VE({ cause: _err, info: info },
+				    'get attachment "%s"', attachment.id));
+				return;
+			}
+
+			done(null, res);
+		});
+	});
+}
+
+/*
+ * Check that JIRA is reachable and answering searches, for the readiness
+ * check, by searching for a single public issue.
+ */
+function
+jira_probe(jb, done)
+{
+	mod_assert.func(done, 'done');
+
+	var qopts = {
+		maxResults: 1,
+		fields: 'summary',
+		jql: jql_clauses(jb, [ jb.jb_config.label ], {}).join(' AND ')
+	};
+
+	jira_search(jb, qopts, function (err, results) {
+		if (err) {
+			done(err);
+			return;
+		}
+
+		done(null, { issues: results.total });
+	});
+}
+
 function
 jira_backend_init(config, log)
 {
-	CONFIG = config;
+	mod_assert.object(config, 'config');
+	mod_assert.optionalArrayOfString(config.projects, 'config.projects');
+	mod_assert.optionalArrayOfObject(config.backends, 'config.backends');
+	mod_assert.object(log, 'log');
+
+	var exclude = [];
+	(config.backends || []).forEach(function (b) {
+		exclude = exclude.concat(b.projects);
+	});
 
-	JIRA = mod_restify.createJsonClient({
-		url: config.url.base,
-		connectTimeout: 15000,
-		userAgent: 'JoyentJIRAPublicAccess',
-		log: log.child({
-			component: 'jira'
+	var jb = {
+		jb_config: config,
+		jb_projects: config.projects || null,
+		jb_exclude_projects: exclude,
+		jb_client: mod_restify.createJsonClient({
+			url: config.url.base,
+			connectTimeout: 15000,
+			userAgent: 'JoyentJIRAPublicAccess',
+			log: log.child({
+				component: 'jira'
+			})
+		}),
+		jb_raw: mod_restify.createHttpClient({
+			url: config.url.base,
+			connectTimeout: 15000,
+			userAgent: 'JoyentJIRAPublicAccess',
+			log: log.child({
+				component: 'jira'
+			})
 		})
-	});
-	JIRA.basicAuth(CONFIG.username, CONFIG.password);
+	};
+
+	jb.jb_client.basicAuth(config.username, config.password);
+	jb.jb_raw.basicAuth(config.username, config.password);
 
 	return ({
 		be_name: 'jira',
-		be_issue_list: jira_issue_list,
-		be_issue_get: jira_issue_get,
-		be_remotelink_get: jira_remotelink_get
+		be_issue_list: jira_issue_list.bind(null, jb),
+		be_issue_facets: jira_issue_facets.bind(null, jb),
+		be_issue_search: jira_issue_search.bind(null, jb),
+		be_issue_list_version: jira_issue_list_version.bind(null, jb),
+		be_issue_list_epic: jira_issue_list_epic.bind(null, jb),
+		be_issue_list_keys: jira_issue_list_keys.bind(null, jb),
+		be_issue_list_updated: jira_issue_list_updated.bind(null, jb),
+		be_issue_get: jira_issue_get.bind(null, jb),
+		be_issue_get_brief: jira_issue_get_brief.bind(null, jb),
+		be_remotelink_get: jira_remotelink_get.bind(null, jb),
+		be_attachment_get: jira_attachment_get.bind(null, jb),
+		be_probe: jira_probe.bind(null, jb)
 	});
 }
 
@@ -0,0 +1,502 @@
+/* vim: set ts=8 sts=8 sw=8 noet: */
+
+'use strict';
+
+/*
+ * Serve issues from more than one backend; e.g., from more than one JIRA
+ * server.  Each backend serves a list of projects, except for the first (the
+ * primary backend), which serves every project not listed for another.
+ * Requests for a particular issue are routed by the project of the issue key,
+ * and the issue lists are merged from every backend.
+ *
+ * Each backend has its own label which marks an issue as public.  Callers use
+ * the label of the primary backend in the list of labels an issue must have,
+ * and we substitute the label of each backend before passing the list on.
+ */
+
+var mod_assert = require('assert-plus');
+var mod_vasync = require('vasync');
+var mod_verror = require('verror');
+
+var lib_facets = require('./facets');
+
+var VE = mod_verror.VError;
+
+/*
+ * To find the issues at a particular offset in a merged list, we must fetch
+ * every issue before that offset from each backend, one page after another,
+ * so merged lists are only available up to this offset.
+ */
+var MULTI_MAX_OFFSET = 1000;
+
+/*
+ * Each entry has the name of the backend ("mb_name"), the projects it serves
+ * ("mb_projects", or null for the primary backend), its public label
+ * ("mb_label") and the backend itself ("mb_backend").
+ */
+var BACKENDS;
+
+
+function
+route_project(project)
+{
+	for (var i = 1; i < BACKENDS.length; i++) {
+		if (BACKENDS[i].mb_projects.indexOf(project) !== -1) {
+			return (BACKENDS[i]);
+		}
+	}
+
+	return (BACKENDS[0]);
+}
+
+function
+route_key(key)
+{
+	return (route_project(lib_facets.issue_project(key)));
+}
+
+/*
+ * Substitute the public label of a backend for that of the primary backend.
+ */
+function
+backend_labels(mb, labels)
+{
+	var primary = BACKENDS[0].mb_label;
+
+	return (labels.map(function (label) {
+		if (Array.isArray(label)) {
+			return (backend_labels(mb, label));
+		}
+
+		return (label === primary ? mb.mb_label : label);
+	}));
+}
+
+/*
+ * The backends to query for an issue list.  If the list is limited to one
+ * project, only the backend for that project is needed.
+ */
+function
+list_backends(filters)
+{
+	if (filters.project !== undefined) {
+		return ([ route_project(filters.project) ]);
+	}
+
+	return (BACKENDS);
+}
+
+function
+compare_keys(a, b)
+{
+	var ma = a.split('-');
+	var mb = b.split('-');
+
+	if (ma[0] !== mb[0]) {
+		return (ma[0] < mb[0] ? -1 : 1);
+	}
+
+	return (+ma[1] - +mb[1]);
+}
+
+/*
+ * Issue lists are in descending order of the sort field, with ties (and the
+ * "key" sort) in descending key order, as the files backend orders them.
+ */
+function
+compare_issues(sort, a, b)
+{
+	if (sort === 'created' || sort === 'updated') {
+		var ta = Date.parse(a.fields[sort]) || 0;
+		var tb = Date.parse(b.fields[sort]) || 0;
+
+		if (ta !== tb) {
+			return (tb - ta);
+		}
+	}
+
+	return (compare_keys(b.key, a.key));
+}
+
+/*
+ * A backend rejects a query which names a facet value or version that does
+ * not exist on that server (see the "badquery" error info), though it may well
+ * exist on another.  Such a backend contributes the "empty" result instead,
+ * and "unknown.count" is incremented; the value does not exist at all only if
+ * every backend we asked rejects the query, which unknown_error() reports.
+ */
+function
+skip_unknown(unknown, empty, cb)
+{
+	return (function (err, r) {
+		if (err && VE.info(err).badquery) {
+			unknown.count++;
+			cb(null, empty);
+			return;
+		}
+
+		cb(err, r);
+	});
+}
+
+function
+unknown_error(unknown, backends, err)
+{
+	if (!err && unknown.count === backends.length) {
+		return (new VE({ info: { badquery: true } },
+		    'query rejected by every backend'));
+	}
+
+	return (err);
+}
+
+/*
+ * Fetch at least the first "count" issues (if there are that many) from each
+ * of the backends, by calling "fetch" for each page in turn.  The results are
+ * a list with the total and the issues for each backend, in order.
+ */
+function
+fetch_leading(backends, count, fetch, done)
+{
+	mod_vasync.forEachParallel({ inputs: backends,
+	    func: function (mb, next) {
+		var r = { total: null, issues: [] };
+
+		mod_vasync.whilst(function () {
+			return (r.total === null || (r.issues.length < count &&
+			    r.issues.length < r.total));
+		}, function (cb) {
+			fetch(mb, r.issues.length, function (err, results) {
+				if (err) {
+					cb(new VE(err, 'backend "%s"',
+					    mb.mb_name));
+					return;
+				}
+
+				r.total = results.total;
+				r.issues = r.issues.concat(results.issues);
+
+				if (results.issues.length === 0) {
+					r.total = r.issues.length;
+				}
+
+				cb();
+			});
+		}, function (err) {
+			next(err, r);
+		});
+	} }, function (err, res) {
+		if (err) {
+			done(err);
+			return;
+		}
+
+		done(null, res.successes);
+	});
+}
+
+function
+multi_issue_list(labels, filters, offset, sort, done)
+{
+	mod_assert.array(labels, 'labels');
+	mod_assert.object(filters, 'filters');
+	mod_assert.number(offset, 'offset');
+	mod_assert.string(sort, 'sort');
+	mod_assert.func(done, 'done');
+
+	var maxResults = 50;
+	var backends = list_backends(filters);
+
+	if (backends.length === 1) {
+		backends[0].mb_backend.be_issue_list(backend_labels(backends[0],
+		    labels), filters, offset, sort, done);
+		return;
+	}
+
+	if (offset > MULTI_MAX_OFFSET) {
+		setImmediate(done, new VE('offset %d is beyond the last page ' +
+		    'of a merged issue list', offset));
+		return;
+	}
+
+	var unknown = { count: 0 };
+
+	fetch_leading(backends, offset + maxResults, function (mb, o, cb) {
+		mb.mb_backend.be_issue_list(backend_labels(mb, labels),
+		    filters, o, sort, skip_unknown(unknown,
+		    { total: 0, issues: [] }, cb));
+	}, function (err, results) {
+		err = unknown_error(unknown, backends, err);
+		if (err) {
+			done(err);
+			return;
+		}
+
+		var total = 0;
+		var issues = [];
+		results.forEach(function (r) {
+			total += r.total;
+			issues = issues.concat(r.issues);
+		});
+
+		issues.sort(compare_issues.bind(null, sort));
+
+		done(null, {
+			total: total,
+			issues: issues.slice(offset, offset + maxResults)
+		});
+	});
+}
+
+function
+multi_issue_search(labels, terms, offset, done)
+{
+	mod_assert.array(labels, 'labels');
+	mod_assert.arrayOfString(terms, 'terms');
+	mod_assert.number(offset, 'offset');
+	mod_assert.func(done, 'done');
+
+	var maxResults = 50;
+
+	if (offset > MULTI_MAX_OFFSET) {
+		setImmediate(done, new VE('offset %d is beyond the last page ' +
+		    'of merged search results', offset));
+		return;
+	}
+
+	/*
+	 * The relevance of results from different backends cannot be
+	 * compared, so we interleave them: the first result from each
+	 * backend, then the second from each, and so on.
+	 */
+	fetch_leading(BACKENDS, offset + maxResults, function (mb, o, cb) {
+		mb.mb_backend.be_issue_search(backend_labels(mb, labels),
+		    terms, o, cb);
+	}, function (err, results) {
+		if (err) {
+			done(err);
+			return;
+		}
+
+		var total = 0;
+		var issues = [];
+		var longest = 0;
+		results.forEach(function (r) {
+			total += r.total;
+			longest = Math.max(longest, r.issues.length);
+		});
+
+		for (var i = 0; i < longest; i++) {
+			for (var j = 0; j < results.length; j++) {
+				if (i < results[j].issues.length) {
+					issues.push(results[j].issues[i]);
+				}
+			}
+		}
+
+		done(null, {
+			total: total,
+			issues: issues.slice(offset, offset + maxResults)
+		});
+	});
+}
+
+function
+multi_issue_facets(labels, filters, done)
+{
+	mod_assert.array(labels, 'labels');
+	mod_assert.object(filters, 'filters');
+	mod_assert.func(done, 'done');
+
+	var backends = list_backends(filters);
+	var unknown = { count: 0 };
+
+	mod_vasync.forEachParallel({ inputs: backends,
+	    func: function (mb, next) {
+		mb.mb_backend.be_issue_facets(backend_labels(mb, labels),
+		    filters, skip_unknown(unknown, { total: 0, complete: true,
+		    counts: lib_facets.facets_count_create() }, next));
+	} }, function (err, res) {
+		err = unknown_error(unknown, backends, err);
+		if (err) {
+			done(err);
+			return;
+		}
+
+		var out = {
+			total: 0,
+			complete: true,
+			counts: lib_facets.facets_count_create()
+		};
+		res.successes.forEach(function (r) {
+			out.total += r.total;
+			out.complete = out.complete && r.complete;
+			lib_facets.facets_count_merge(out.counts, r.counts);
+		});
+
+		done(null, out);
+	});
+}
+
+function
+multi_issue_list_version(labels, version, done)
+{
+	mod_assert.array(labels, 'labels');
+	mod_assert.string(version, 'version');
+	mod_assert.func(done, 'done');
+
+	/*
+	 * A version usually exists on only one of the servers.
+	 */
+	var unknown = { count: 0 };
+
+	mod_vasync.forEachParallel({ inputs: BACKENDS,
+	    func: function (mb, next) {
+		mb.mb_backend.be_issue_list_version(backend_labels(mb, labels),
+		    version, skip_unknown(unknown, { total: 0, complete: true,
+		    issues: [] }, next));
+	} }, function (err, res) {
+		err = unknown_error(unknown, BACKENDS, err);
+		if (err) {
+			done(err);
+			return;
+		}
+
+		var out = { total: 0, complete: true, issues: [] };
+		res.successes.forEach(function (r) {
+			out.total += r.total;
+			out.complete = out.complete && r.complete;
+			out.issues = out.issues.concat(r.issues);
+		});
+
+		done(null, out);
+	});
+}
+
+function
+multi_issue_list_epic(labels, epic, done)
+{
+	var mb = route_key(epic);
+
+	mb.mb_backend.be_issue_list_epic(backend_labels(mb, labels), epic,
+	    done);
+}
+
+function
+multi_issue_list_keys(keys, done)
+{
+	mod_assert.arrayOfString(keys, 'keys');
+	mod_assert.func(done, 'done');
+
+	var inputs = BACKENDS.map(function (mb) {
+		return ({
+			mb: mb,
+			keys: keys.filter(function (key) {
+				return (route_key(key) === mb);
+			})
+		});
+	}).filter(function (input) {
+		return (input.keys.length > 0);
+	});
+
+	mod_vasync.forEachParallel({ inputs: inputs,
+	    func: function (input, next) {
+		input.mb.mb_backend.be_issue_list_keys(input.keys, next);
+	} }, function (err, res) {
+		if (err) {
+			done(err);
+			return;
+		}
+
+		var out = { total: 0, issues: [] };
+		res.successes.forEach(function (r) {
+			out.total += r.total;
+			out.issues = out.issues.concat(r.issues);
+		});
+
+		done(null, out);
+	});
+}
+
+function
+multi_issue_get(key, done)
+{
+	route_key(key).mb_backend.be_issue_get(key, done);
+}
+
+function
+multi_issue_get_brief(key, done)
+{
+	route_key(key).mb_backend.be_issue_get_brief(key, done);
+}
+
+function
+multi_remotelink_get(key, id, done)
+{
+	route_key(key).mb_backend.be_remotelink_get(key, id, done);
+}
+
+function
+multi_attachment_get(key, attachment, done)
+{
+	route_key(key).mb_backend.be_attachment_get(key, attachment, done);
+}
+
+/*
+ * Accepts a list of backends, each with a "name", the "label" which marks
+ * an issue as public, the "projects" it serves (except for the first, which
+ * serves every other project) and the "backend" itself.
+ */
+function
+multi_backend_init(backends, log)
+{
+	mod_assert.arrayOfObject(backends, 'backends');
+	mod_assert.ok(backends.length > 0, 'backends.length > 0');
+	mod_assert.object(log, 'log');
+
+	BACKENDS = backends.map(function (b, idx) {
+		mod_assert.string(b.name, 'backends[].name');
+		mod_assert.string(b.label, 'backends[].label');
+		mod_assert.object(b.backend, 'backends[].backend');
+		if (idx > 0) {
+			mod_assert.arrayOfString(b.projects,
+			    'backends[].projects');
+		}
+
+		return ({
+			mb_name: b.name,
+			mb_projects: idx > 0 ? b.projects : null,
+			mb_label: b.label,
+			mb_backend: b.backend
+		});
+	});
+
+	log.info({
+		backends: BACKENDS.map(function (mb) {
+			return ({
+				name: mb.mb_name,
+				type: mb.mb_backend.be_name,
+				projects: mb.mb_projects
+			});
+		})
+	}, 'serving issues from multiple backends');
+
+	return ({
+		be_name: 'multi',
+		be_issue_list: multi_issue_list,
+		be_issue_facets: multi_issue_facets,
+		be_issue_search: multi_issue_search,
+		be_issue_list_version: multi_issue_list_version,
+		be_issue_list_epic: multi_issue_list_epic,
+		be_issue_list_keys: multi_issue_list_keys,
+		be_issue_get: multi_issue_get,
+		be_issue_get_brief: multi_issue_get_brief,
+		be_remotelink_get: multi_remotelink_get,
+		be_attachment_get: multi_attachment_get
+	});
+}
+
+module.exports = {
+	MULTI_MAX_OFFSET: MULTI_MAX_OFFSET,
+	multi_backend_init: multi_backend_init
+};
@@ -0,0 +1,234 @@
+/* vim: set ts=8 sts=8 sw=8 noet: */
+
+'use strict';
+
+/*
+ * The structure of "config.json" is described by the schema below, so that
+ * every problem with the configuration can be reported at once, along with the
+ * path of the offending field, rather than stopping at the first.  Each node
+ * of the schema has a "type" ("string", "number", "boolean", "array" or
+ * "object") and may have:
+ *
+ *	required	the field must be present
+ *	pattern		a regular expression which a string must match
+ *	values		a list of the values a string may take
+ *	minimum		the smallest value a number may take
+ *	items		the schema for each element of an array
+ *	properties	the schema for each property of an object; properties
+ *			not described here are reported as unknown
+ *
+ * Checks which depend on more than the structure of the configuration (e.g.,
+ * that a regular expression compiles) are left to the code that uses each
+ * setting.
+ */
+
+var STRING = { type: 'string' };
+var STRINGS = { type: 'array', items: STRING };
+var PATH_PREFIXES = { type: 'array', items: { type: 'string',
+    pattern: /^\// } };
+
+var JIRA_URL = { type: 'object', required: true, properties: {
+	base: { type: 'string', required: true },
+	path: { type: 'string', required: true }
+} };
+var PROJECT = { type: 'string', pattern: /^[A-Z]+$/ };
+
+/*
+ * The fields of an issue which the "redaction" policy may leave out of the
+ * issue views.  The key and summary are always shown.
+ */
+var HIDEABLE_FIELDS = [ 'issuetype', 'priority', 'status', 'created',
+    'updated', 'creator', 'reporter', 'assignee', 'resolution',
+    'resolutiondate', 'fixVersions', 'issuelinks', 'parent', 'subtasks',
+    'epic', 'labels', 'attachment', 'description', 'comment' ];
+var EPIC_LINK_FIELD = { type: 'string', pattern: /^customfield_[0-9]+$/ };
+
+var SCHEMA = {
+	type: 'object',
+	properties: {
+		url: JIRA_URL,
+		username: { type: 'string', required: true },
+		password: { type: 'string', required: true },
+		label: { type: 'string', required: true },
+		port: { type: 'number', required: true, minimum: 1 },
+		http_proto: { type: 'string', required: true,
+		    values: [ 'http', 'https' ] },
+		allowed_domains: STRINGS,
+		link_policy: { type: 'object', properties: {
+			schemes: STRINGS,
+			rules: { type: 'array', items: { type: 'object',
+			    properties: {
+				domain: STRING,
+				domain_suffix: STRING,
+				schemes: STRINGS,
+				allow_paths: PATH_PREFIXES,
+				deny_paths: PATH_PREFIXES
+			} } }
+		} },
+		allowed_labels: { type: 'array', required: true,
+		    items: STRING },
+		allowed_projects: { type: 'array', items: PROJECT },
+		epic_link_field: EPIC_LINK_FIELD,
+		backends: { type: 'array', items: { type: 'object',
+		    properties: {
+			name: { type: 'string', required: true,
+			    pattern: /^[a-z0-9_-]+$/ },
+			projects: { type: 'array', required: true,
+			    items: PROJECT },
+			url: JIRA_URL,
+			username: { type: 'string', required: true },
+			password: { type: 'string', required: true },
+			label: { type: 'string', required: true },
+			epic_link_field: EPIC_LINK_FIELD
+		} } },
+		cache: { type: 'object', properties: {
+			ttl_seconds: { type: 'number', required: true,
+			    minimum: 0 },
+			stale_seconds: { type: 'number', minimum: 0 },
+			max_megabytes: { type: 'number', required: true,
+			    minimum: 0 }
+		} },
+		redaction: { type: 'object', properties: {
+			drop_people: { type: 'boolean' },
+			hide_email_addresses: { type: 'boolean' },
+			usernames_as_display_names: { type: 'boolean' },
+			hide_fields: { type: 'array', items: { type: 'string',
+			    values: HIDEABLE_FIELDS } }
+		} },
+		url_rewrites: { type: 'array', items: { type: 'object',
+		    properties: {
+			host: { type: 'string', required: true },
+			path: { type: 'string', required: true },
+			new_host: STRING,
+			replacement: { type: 'string', required: true,
+			    pattern: /^\// }
+		} } },
+		metrics: { type: 'object', properties: {
+			port: { type: 'number', minimum: 1 },
+			public: { type: 'boolean' }
+		} },
+		graph: { type: 'object', properties: {
+			default_depth: { type: 'number', minimum: 1 },
+			max_depth: { type: 'number', minimum: 1 },
+			max_issues: { type: 'number', minimum: 1 }
+		} },
+		scrub: { type: 'object', properties: {
+			marker: STRING,
+			rules: { type: 'array', required: true, items: {
+			    type: 'object', properties: {
+				name: { type: 'string', required: true },
+				pattern: { type: 'string', required: true },
+				flags: { type: 'string',
+				    pattern: /^[gimsuy]*$/ }
+			} } }
+		} },
+		attachments: { type: 'object', properties: {
+			mime_types: { type: 'array', required: true,
+			    items: STRING },
+			max_bytes: { type: 'number', required: true,
+			    minimum: 0 }
+		} }
+	}
+};
+
+
+function
+type_of(value)
+{
+	if (value === null) {
+		return ('null');
+	}
+
+	if (Array.isArray(value)) {
+		return ('array');
+	}
+
+	return (typeof (value));
+}
+
+function
+check_value(path, schema, value, errors)
+{
+	var t = type_of(value);
+
+	if (t !== schema.type) {
+		errors.push(path + ': expected ' + schema.type + ', found ' +
+		    t);
+		return;
+	}
+
+	switch (schema.type) {
+	case 'string':
+		if (schema.pattern && !schema.pattern.test(value)) {
+			errors.push(path + ': "' + value + '" does not match ' +
+			    schema.pattern);
+		}
+		if (schema.values && schema.values.indexOf(value) === -1) {
+			errors.push(path + ': must be one of ' +
+			    schema.values.join(', '));
+		}
+		break;
+
+	case 'number':
+		if (!isFinite(value)) {
+			errors.push(path + ': must be a finite number');
+		} else if (schema.minimum !== undefined &&
+		    value < schema.minimum) {
+			errors.push(path + ': must be at least ' +
+			    schema.minimum);
+		}
+		break;
+
+	case 'array':
+		value.forEach(function (v, idx) {
+			check_value(path + '[' + idx + ']', schema.items, v,
+			    errors);
+		});
+		break;
+
+	case 'object':
+		Object.keys(schema.properties).forEach(function (k) {
+			var ps = schema.properties[k];
+
+			if (value[k] === undefined) {
+				if (ps.required) {
+					errors.push(path + '.' + k +
+					    ': is required');
+				}
+				return;
+			}
+
+			check_value(path + '.' + k, ps, value[k], errors);
+		});
+
+		Object.keys(value).forEach(function (k) {
+			if (!schema.properties.hasOwnProperty(k)) {
+				errors.push(path + '.' + k +
+				    ': unknown property');
+			}
+		});
+		break;
+
+	default:
+		break;
+	}
+}
+
+/*
+ * Check a parsed configuration against the schema.  Returns a list of every
+ * problem found, each of which begins with the path of the field; e.g.,
+ * "config.cache.ttl_seconds: is required".
+ */
+function
+config_validate(config)
+{
+	var errors = [];
+
+	check_value('config', SCHEMA, config, errors);
+
+	return (errors);
+}
+
+module.exports = {
+	config_validate: config_validate
+};
@@ -0,0 +1,208 @@
+/* vim: set ts=8 sts=8 sw=8 noet: */
+
+'use strict';
+
+/*
+ * The issue index can be filtered by the value of several issue fields, which
+ * we call facets.  Filters are passed to the backends as an object with (at
+ * most) one value for each facet, e.g.,
+ *
+ *	{ "status": "Resolved", "fixVersion": "2019-03-14" }
+ *
+ * An issue matches if, for each facet in the filter, one of the values of
+ * that field is equal to the filter value.
+ *
+ * Filters may also include a "project", which restricts the index to issues
+ * from one JIRA project (i.e., with that issue key prefix).  The project is
+ * not a facet: it is not counted, nor taken from query parameters.
+ */
+
+var mod_assert = require('assert-plus');
+
+/*
+ * The names of the facets, which are also the names used for the field in
+ * JQL queries and in query parameters.
+ */
+var FACETS = [
+	'status',
+	'resolution',
+	'issuetype',
+	'fixVersion'
+];
+
+/*
+ * The issue fields we need to determine the value of each facet.
+ */
+var FACET_FIELDS = [
+	'status',
+	'resolution',
+	'issuetype',
+	'fixVersions'
+];
+
+/*
+ * Issues without a resolution are given this value for the "resolution"
+ * facet.
+ */
+var UNRESOLVED = 'Unresolved';
+
+
+function
+name_of(obj)
+{
+	if (obj && typeof (obj.name) === 'string') {
+		return ([ obj.name ]);
+	}
+
+	return ([]);
+}
+
+/*
+ * Return the list of values of a facet for an issue.
+ */
+function
+facet_values(issue, facet)
+{
+	mod_assert.object(issue, 'issue');
+	mod_assert.object(issue.fields, 'issue.fields');
+
+	switch (facet) {
+	case 'status':
+		return (name_of(issue.fields.status));
+
+	case 'resolution':
+		if (!issue.fields.resolution) {
+			return ([ UNRESOLVED ]);
+		}
+		return (name_of(issue.fields.resolution));
+
+	case 'issuetype':
+		return (name_of(issue.fields.issuetype));
+
+	case 'fixVersion':
+		if (!Array.isArray(issue.fields.fixVersions)) {
+			return ([]);
+		}
+		return (issue.fields.fixVersions.map(name_of).reduce(
+		    function (acc, names) {
+			return (acc.concat(names));
+		}, []));
+
+	default:
+		throw (new Error('unknown facet: ' + JSON.stringify(facet)));
+	}
+}
+
+/*
+ * Return the project for an issue, from the prefix of the issue key.
+ */
+function
+issue_project(key)
+{
+	mod_assert.string(key, 'key');
+
+	return (key.replace(/-[^-]*$/, ''));
+}
+
+function
+facets_match(issue, filters)
+{
+	mod_assert.object(filters, 'filters');
+
+	if (filters.project !== undefined &&
+	    issue_project(issue.key) !== filters.project) {
+		return (false);
+	}
+
+	for (var i = 0; i < FACETS.length; i++) {
+		var f = filters[FACETS[i]];
+
+		if (f === undefined) {
+			continue;
+		}
+
+		if (facet_values(issue, FACETS[i]).indexOf(f) === -1) {
+			return (false);
+		}
+	}
+
+	return (true);
+}
+
+function
+facets_count_create()
+{
+	var counts = {};
+
+	FACETS.forEach(function (facet) {
+		counts[facet] = {};
+	});
+
+	return (counts);
+}
+
+/*
+ * Add the facet values of an issue to a set of counts created with
+ * facets_count_create().
+ */
+function
+facets_count_add(counts, issue)
+{
+	FACETS.forEach(function (facet) {
+		facet_values(issue, facet).forEach(function (v) {
+			if (!counts[facet].hasOwnProperty(v)) {
+				counts[facet][v] = 0;
+			}
+			counts[facet][v]++;
+		});
+	});
+}
+
+/*
+ * Add a set of counts created with facets_count_create() into another; e.g.,
+ * to combine the counts from several backends.
+ */
+function
+facets_count_merge(counts, other)
+{
+	FACETS.forEach(function (facet) {
+		Object.keys(other[facet] || {}).forEach(function (v) {
+			if (!counts[facet].hasOwnProperty(v)) {
+				counts[facet][v] = 0;
+			}
+			counts[facet][v] += other[facet][v];
+		});
+	});
+}
+
+/*
+ * Each entry in a list of labels is either a label which an issue must have,
+ * or an array of labels of which the issue must have at least one.
+ */
+function
+assert_labels(labels)
+{
+	mod_assert.array(labels, 'labels');
+
+	labels.forEach(function (label) {
+		if (Array.isArray(label)) {
+			mod_assert.arrayOfString(label, 'labels[]');
+			mod_assert.ok(label.length > 0, 'labels[].length > 0');
+		} else {
+			mod_assert.string(label, 'labels[]');
+		}
+	});
+}
+
+module.exports = {
+	FACETS: FACETS,
+	FACET_FIELDS: FACET_FIELDS,
+	UNRESOLVED: UNRESOLVED,
+	assert_labels: assert_labels,
+	facet_values: facet_values,
+	issue_project: issue_project,
+	facets_match: facets_match,
+	facets_count_create: facets_count_create,
+	facets_count_add: facets_count_add,
+	facets_count_merge: facets_count_merge
+};
@@ -0,0 +1,220 @@
+/* vim: set ts=8 sts=8 sw=8 noet: */
+
+'use strict';
+
+/*
+ * Render a graph of related issues as Graphviz DOT or SVG.  The graph is an
+ * object of the form:
+ *
+ *	{
+ *		"root": "OS-1",
+ *		"nodes": [ { "key": "OS-1", "summary": "...",
+ *		    "depth": 0 }, ... ],
+ *		"edges": [ { "from": "OS-1", "to": "OS-2",
+ *		    "outward": "blocks", "inward": "is blocked by" }, ... ]
+ *	}
+ *
+ * where "depth" is the number of links between the issue and the root, and
+ * each edge is labelled with the outward name of the link type (i.e., "from
+ * <outward> to").
+ *
+ * We do not want to depend on Graphviz being installed, so the SVG is laid out
+ * here: issues are placed in columns by depth, and links are drawn as straight
+ * lines (or curves, between issues in the same column).
+ */
+
+var mod_assert = require('assert-plus');
+var mod_ent = require('ent');
+
+var NODE_WIDTH = 200;
+var NODE_HEIGHT = 44;
+var COLUMN_GAP = 140;
+var ROW_GAP = 24;
+var PADDING = 20;
+var SUMMARY_CHARS = 28;
+
+
+function
+assert_graph(graph)
+{
+	mod_assert.object(graph, 'graph');
+	mod_assert.string(graph.root, 'graph.root');
+	mod_assert.arrayOfObject(graph.nodes, 'graph.nodes');
+	mod_assert.arrayOfObject(graph.edges, 'graph.edges');
+}
+
+function
+issue_href(key)
+{
+	return ('/bugview/' + key);
+}
+
+/*
+ * Quote a string for use as a DOT identifier or attribute value.
+ */
+function
+dot_string(str)
+{
+	return ('"' + String(str).replace(/\\/g, '\\\\').replace(/"/g, '\\"')
+	    .replace(/\r?\n/g, '\\n') + '"');
+}
+
+function
+graph_dot(graph)
+{
+	assert_graph(graph);
+
+	var out = [
+		'digraph ' + dot_string(graph.root) + ' {',
+		'\trankdir=LR;',
+		'\tnode [shape=box, fontname="Helvetica"];',
+		'\tedge [fontname="Helvetica", fontsize=10];'
+	];
+
+	graph.nodes.forEach(function (n) {
+		var attrs = [
+			'label=' + dot_string(n.key + '\n' + (n.summary || '')),
+			'URL=' + dot_string(issue_href(n.key))
+		];
+
+		if (n.key === graph.root) {
+			attrs.push('style=bold');
+		}
+
+		out.push('\t' + dot_string(n.key) + ' [' + attrs.join(', ') +
+		    '];');
+	});
+
+	graph.edges.forEach(function (e) {
+		out.push('\t' + dot_string(e.from) + ' -> ' + dot_string(e.to) +
+		    ' [label=' + dot_string(e.outward) + '];');
+	});
+
+	out.push('}');
+
+	return (out.join('\n') + '\n');
+}
+
+function
+truncate(str, len)
+{
+	str = str || '';
+
+	if (str.length <= len) {
+		return (str);
+	}
+
+	return (str.substr(0, len - 3) + '...');
+}
+
+function
+graph_svg(graph)
+{
+	assert_graph(graph);
+
+	var X = mod_ent.encode;
+	var pos = {};
+	var rows = [];
+
+	/*
+	 * Place each issue in the column for its depth, in the order given.
+	 */
+	graph.nodes.forEach(function (n) {
+		var col = n.depth || 0;
+
+		while (rows.length <= col) {
+			rows.push(0);
+		}
+
+		pos[n.key] = {
+			x: PADDING + col * (NODE_WIDTH + COLUMN_GAP),
+			y: PADDING + rows[col] * (NODE_HEIGHT + ROW_GAP)
+		};
+		rows[col]++;
+	});
+
+	var width = 2 * PADDING + rows.length * NODE_WIDTH +
+	    Math.max(rows.length - 1, 0) * COLUMN_GAP;
+	var height = 2 * PADDING + Math.max.apply(null, rows.concat([ 1 ])) *
+	    (NODE_HEIGHT + ROW_GAP) - ROW_GAP;
+
+	/*
+	 * Links between issues in the same column curve out to the right, so
+	 * we need some extra room for those.
+	 */
+	width += COLUMN_GAP / 2;
+
+	var out = [
+		'<svg xmlns="http://www.w3.org/2000/svg" ' +
+		    'xmlns:xlink="http://www.w3.org/1999/xlink" ' +
+		    'width="' + width + '" height="' + height + '" ' +
+		    'font-family="Helvetica, sans-serif" font-size="12">',
+		'<defs><marker id="arrow" viewBox="0 0 10 10" refX="10" ' +
+		    'refY="5" markerWidth="8" markerHeight="8" ' +
+		    'orient="auto"><path d="M0,0 L10,5 L0,10 z"/></marker>' +
+		    '</defs>'
+	];
+
+	graph.edges.forEach(function (e) {
+		var a = pos[e.from];
+		var b = pos[e.to];
+
+		if (a === undefined || b === undefined) {
+			return;
+		}
+
+		var ay = a.y + NODE_HEIGHT / 2;
+		var by = b.y + NODE_HEIGHT / 2;
+		var path, lx, ly;
+
+		if (a.x === b.x) {
+			var ax = a.x + NODE_WIDTH;
+			var cx = ax + COLUMN_GAP / 2;
+
+			path = 'M' + ax + ',' + ay + ' C' + cx + ',' + ay +
+			    ' ' + cx + ',' + by + ' ' + ax + ',' + by;
+			lx = ax + COLUMN_GAP * 3 / 8;
+			ly = (ay + by) / 2;
+		} else {
+			var x1 = a.x < b.x ? a.x + NODE_WIDTH : a.x;
+			var x2 = a.x < b.x ? b.x : b.x + NODE_WIDTH;
+
+			path = 'M' + x1 + ',' + ay + ' L' + x2 + ',' + by;
+			lx = (x1 + x2) / 2;
+			ly = (ay + by) / 2 - 4;
+		}
+
+		out.push('<path d="' + path + '" fill="none" stroke="#555" ' +
+		    'marker-end="url(#arrow)"/>');
+		out.push('<text x="' + lx + '" y="' + ly + '" ' +
+		    'text-anchor="middle" font-size="10" fill="#555">' +
+		    X(e.outward || '') + '</text>');
+	});
+
+	graph.nodes.forEach(function (n) {
+		var p = pos[n.key];
+		var root = (n.key === graph.root);
+
+		out.push('<a xlink:href="' + X(issue_href(n.key)) + '">');
+		out.push('<title>' + X(n.key + ': ' + (n.summary || '')) +
+		    '</title>');
+		out.push('<rect x="' + p.x + '" y="' + p.y + '" width="' +
+		    NODE_WIDTH + '" height="' + NODE_HEIGHT + '" rx="4" ' +
+		    'fill="' + (root ? '#dde8f5' : '#f4f4f4') + '" ' +
+		    'stroke="#333" stroke-width="' + (root ? 2 : 1) + '"/>');
+		out.push('<text x="' + (p.x + 8) + '" y="' + (p.y + 17) +
+		    '" font-weight="bold">' + X(n.key) + '</text>');
+		out.push('<text x="' + (p.x + 8) + '" y="' + (p.y + 34) +
+		    '">' + X(truncate(n.summary, SUMMARY_CHARS)) + '</text>');
+		out.push('</a>');
+	});
+
+	out.push('</svg>');
+
+	return (out.join('\n') + '\n');
+}
+
+module.exports = {
+	graph_dot: graph_dot,
+	graph_svg: graph_svg
+};
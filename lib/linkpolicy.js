@@ -0,0 +1,201 @@
+/* vim: set ts=8 sts=8 sw=8 noet: */
+
+'use strict';
+
+/*
+ * Links to other sites, whether attached to an issue as remote links or
+ * written in the description and comments, are only published if they are
+ * allowed by the link policy.  We would rather not publish, e.g., signed Manta
+ * URLs or links to internal systems.
+ *
+ * The policy is a list of rules.  Each rule applies either to one "domain", or
+ * to every host under a "domain_suffix" (including the domain itself).  The
+ * first rule which applies to the host of a URL decides whether the URL is
+ * allowed, according to:
+ *
+ *	schemes		the URL schemes which are allowed; e.g., [ "https" ]
+ *
+ *	allow_paths	if present, the path must begin with one of these
+ *			prefixes
+ *
+ *	deny_paths	the path must not begin with any of these prefixes
+ *
+ * URLs for hosts to which no rule applies are not allowed.
+ */
+
+var mod_assert = require('assert-plus');
+var mod_path = require('path');
+var mod_url = require('url');
+var mod_verror = require('verror');
+
+var VE = mod_verror.VError;
+
+var DEFAULT_SCHEMES = [ 'http', 'https' ];
+
+var RULES = [];
+
+
+/*
+ * Compile the policy from the "link_policy" configuration block, along with
+ * the older "allowed_domains" list, each entry of which is equivalent to a
+ * rule for that domain with no other restrictions.  Throws if the policy is
+ * invalid, in which case the existing policy is left in place.
+ */
+function
+link_policy_init(config, allowed_domains)
+{
+	mod_assert.optionalObject(config, 'config');
+	mod_assert.optionalArrayOfString(allowed_domains, 'allowed_domains');
+
+	config = config || {};
+	mod_assert.optionalArrayOfString(config.schemes,
+	    'link_policy.schemes');
+	mod_assert.optionalArrayOfObject(config.rules, 'link_policy.rules');
+
+	var default_schemes = config.schemes || DEFAULT_SCHEMES;
+
+	var rules = (config.rules || []).map(function (r, idx) {
+		var pfx = 'link_policy.rules[' + idx + ']';
+
+		mod_assert.optionalString(r.domain, pfx + '.domain');
+		mod_assert.optionalString(r.domain_suffix,
+		    pfx + '.domain_suffix');
+		mod_assert.optionalArrayOfString(r.schemes, pfx + '.schemes');
+		mod_assert.optionalArrayOfString(r.allow_paths,
+		    pfx + '.allow_paths');
+		mod_assert.optionalArrayOfString(r.deny_paths,
+		    pfx + '.deny_paths');
+
+		if ((r.domain === undefined) ===
+		    (r.domain_suffix === undefined)) {
+			throw (new VE('%s must have exactly one of "domain" ' +
+			    'and "domain_suffix"', pfx));
+		}
+
+		[ 'allow_paths', 'deny_paths' ].forEach(function (k) {
+			(r[k] || []).forEach(function (p) {
+				if (!p.match(/^\//)) {
+					throw (new VE('%s.%s: "%s" does not ' +
+					    'begin with "/"', pfx, k, p));
+				}
+			});
+		});
+
+		return ({
+			lr_domain: (r.domain || r.domain_suffix).toLowerCase(),
+			lr_suffix: r.domain_suffix !== undefined,
+			lr_schemes: r.schemes || default_schemes,
+			lr_allow_paths: r.allow_paths || null,
+			lr_deny_paths: r.deny_paths || []
+		});
+	});
+
+	(allowed_domains || []).forEach(function (domain) {
+		rules.push({
+			lr_domain: domain.toLowerCase(),
+			lr_suffix: false,
+			lr_schemes: default_schemes,
+			lr_allow_paths: null,
+			lr_deny_paths: []
+		});
+	});
+
+	RULES = rules;
+}
+
+function
+rule_applies(r, hostname)
+{
+	if (hostname === r.lr_domain) {
+		return (true);
+	}
+
+	if (!r.lr_suffix) {
+		return (false);
+	}
+
+	var sfx = '.' + r.lr_domain;
+	return (hostname.length > sfx.length &&
+	    hostname.substr(hostname.length - sfx.length) === sfx);
+}
+
+function
+has_prefix(path, prefixes)
+{
+	return (prefixes.some(function (p) {
+		return (path.substr(0, p.length) === p);
+	}));
+}
+
+/*
+ * Put the path of a URL in the form a browser would request it, so that it
+ * can be compared with the path prefixes in the policy.  Percent-encoded
+ * unreserved characters (including ".") are decoded, as they are equivalent
+ * to the characters themselves, and then any "." or ".." segments are
+ * removed.  A path with an encoded "/" or "\", or a literal "\", may be
+ * split into segments differently by the server, so we return null for it.
+ */
+function
+normalise_path(pathname)
+{
+	var path = pathname.replace(/%([0-9a-fA-F]{2})/g, function (m, hex) {
+		var c = String.fromCharCode(parseInt(hex, 16));
+
+		return (c.match(/^[A-Za-z0-9._~-]$/) ? c : m.toUpperCase());
+	});
+
+	if (path.match(/%2F|%5C|\\/)) {
+		return (null);
+	}
+
+	return (mod_path.posix.normalize(path));
+}
+
+/*
+ * Returns true if the link policy allows a URL to be published.
+ */
+function
+link_allowed(input)
+{
+	mod_assert.string(input, 'input');
+
+	var url = mod_url.parse(input.trim());
+
+	if (!url.hostname || !url.protocol) {
+		return (false);
+	}
+
+	var hostname = url.hostname.toLowerCase();
+	var scheme = url.protocol.replace(/:$/, '').toLowerCase();
+
+	var path = normalise_path(url.pathname || '/');
+	if (path === null) {
+		return (false);
+	}
+
+	for (var i = 0; i < RULES.length; i++) {
+		var r = RULES[i];
+
+		if (!rule_applies(r, hostname)) {
+			continue;
+		}
+
+		if (r.lr_schemes.indexOf(scheme) === -1) {
+			return (false);
+		}
+
+		if (r.lr_allow_paths !== null &&
+		    !has_prefix(path, r.lr_allow_paths)) {
+			return (false);
+		}
+
+		return (!has_prefix(path, r.lr_deny_paths));
+	}
+
+	return (false);
+}
+
+module.exports = {
+	link_policy_init: link_policy_init,
+	link_allowed: link_allowed
+};
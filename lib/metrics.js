@@ -0,0 +1,299 @@
+/* vim: set ts=8 sts=8 sw=8 noet: */
+
+'use strict';
+
+/*
+ * A minimal registry of counters and histograms, which can be rendered in the
+ * Prometheus text exposition format for the "/metrics" endpoint.  Each metric
+ * is defined once, by name, and is then updated with a set of label values;
+ * e.g.,
+ *
+ *	metrics_counter('bugview_widgets_total', 'Widgets made.');
+ *	metrics_inc('bugview_widgets_total', { colour: 'blue' });
+ *
+ * Each distinct set of label values is a separate series.
+ */
+
+var mod_assert = require('assert-plus');
+var mod_verror = require('verror');
+
+var VE = mod_verror.VError;
+
+/*
+ * Histogram bucket boundaries, in seconds, suitable for request latency.
+ */
+var DEFAULT_BUCKETS = [ 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5,
+    10, 30 ];
+
+/*
+ * Each metric is kept in "METRICS", keyed by name, with:
+ *
+ *	m_type		"counter" or "histogram"
+ *	m_help		the description, for the "# HELP" line
+ *	m_buckets	(histograms only) the upper bound of each bucket
+ *	m_series	the series for each set of label values, keyed by the
+ *			rendered labels
+ *
+ * Metrics are listed in the order in which they were defined.
+ */
+var METRICS = {};
+
+
+function
+define_metric(name, type, help, buckets)
+{
+	mod_assert.string(name, 'name');
+	mod_assert.ok(/^[a-zA-Z_:][a-zA-Z0-9_:]*$/.test(name), 'metric name');
+	mod_assert.string(help, 'help');
+
+	if (METRICS.hasOwnProperty(name)) {
+		if (METRICS[name].m_type !== type) {
+			throw (new VE('metric "%s" already defined as a %s',
+			    name, METRICS[name].m_type));
+		}
+		return;
+	}
+
+	METRICS[name] = {
+		m_type: type,
+		m_help: help,
+		m_buckets: buckets || null,
+		m_series: {}
+	};
+}
+
+function
+metrics_counter(name, help)
+{
+	define_metric(name, 'counter', help);
+}
+
+function
+metrics_histogram(name, help, buckets)
+{
+	mod_assert.optionalArrayOfNumber(buckets, 'buckets');
+
+	define_metric(name, 'histogram', help, (buckets ||
+	    DEFAULT_BUCKETS).slice().sort(function (a, b) {
+		return (a - b);
+	}));
+}
+
+function
+escape_label_value(value)
+{
+	return (String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n')
+	    .replace(/"/g, '\\"'));
+}
+
+/*
+ * Render a set of labels as they appear in the exposition format; e.g.,
+ * '{code="200",route="/bugview/:key"}'.  Labels are sorted by name, so that
+ * the result can also be used to identify the series.
+ */
+function
+format_labels(labels)
+{
+	var names = Object.keys(labels).sort();
+
+	if (names.length === 0) {
+		return ('');
+	}
+
+	return ('{' + names.map(function (n) {
+		return (n + '="' + escape_label_value(labels[n]) + '"');
+	}).join(',') + '}');
+}
+
+function
+lookup_series(name, type, labels)
+{
+	mod_assert.string(name, 'name');
+	mod_assert.optionalObject(labels, 'labels');
+
+	var m = METRICS[name];
+	if (m === undefined || m.m_type !== type) {
+		throw (new VE('no %s named "%s"', type, name));
+	}
+
+	labels = labels || {};
+	var k = format_labels(labels);
+	var s = m.m_series[k];
+
+	if (s === undefined) {
+		var copy = {};
+		Object.keys(labels).forEach(function (n) {
+			copy[n] = labels[n];
+		});
+
+		s = m.m_series[k] = {
+			ms_labels: copy,
+			ms_value: 0,
+			ms_counts: m.m_buckets === null ? null :
+			    m.m_buckets.map(function () {
+				return (0);
+			}),
+			ms_sum: 0
+		};
+	}
+
+	return (s);
+}
+
+/*
+ * Increment a counter, by one unless another amount is provided.
+ */
+function
+metrics_inc(name, labels, amount)
+{
+	mod_assert.optionalNumber(amount, 'amount');
+
+	lookup_series(name, 'counter', labels).ms_value +=
+	    (amount === undefined ? 1 : amount);
+}
+
+/*
+ * Record an observation (e.g., a duration in seconds) in a histogram.
+ */
+function
+metrics_observe(name, labels, value)
+{
+	mod_assert.number(value, 'value');
+
+	var s = lookup_series(name, 'histogram', labels);
+	var buckets = METRICS[name].m_buckets;
+
+	for (var i = 0; i < buckets.length; i++) {
+		if (value <= buckets[i]) {
+			s.ms_counts[i]++;
+		}
+	}
+	s.ms_value++;
+	s.ms_sum += value;
+}
+
+/*
+ * Returns the number of seconds since "start", a time in milliseconds as from
+ * Date.now().
+ */
+function
+metrics_elapsed(start)
+{
+	mod_assert.number(start, 'start');
+
+	return ((Date.now() - start) / 1000);
+}
+
+/*
+ * Render every metric in the Prometheus text exposition format.
+ */
+function
+metrics_format()
+{
+	var lines = [];
+
+	Object.keys(METRICS).forEach(function (name) {
+		var m = METRICS[name];
+
+		lines.push('# HELP ' + name + ' ' + m.m_help.replace(/\\/g,
+		    '\\\\').replace(/\n/g, '\\n'));
+		lines.push('# TYPE ' + name + ' ' + m.m_type);
+
+		Object.keys(m.m_series).sort().forEach(function (k) {
+			var s = m.m_series[k];
+
+			if (m.m_type === 'counter') {
+				lines.push(name + k + ' ' + s.ms_value);
+				return;
+			}
+
+			function bucket(le, count) {
+				var labels = { le: le };
+				Object.keys(s.ms_labels).forEach(function (n) {
+					labels[n] = s.ms_labels[n];
+				});
+
+				lines.push(name + '_bucket' +
+				    format_labels(labels) + ' ' + count);
+			}
+
+			m.m_buckets.forEach(function (le, idx) {
+				bucket(String(le), s.ms_counts[idx]);
+			});
+			bucket('+Inf', s.ms_value);
+
+			lines.push(name + '_sum' + k + ' ' + s.ms_sum);
+			lines.push(name + '_count' + k + ' ' + s.ms_value);
+		});
+	});
+
+	return (lines.join('\n') + '\n');
+}
+
+/*
+ * Wrap each "be_*" function of a backend so that we count the calls made to
+ * it, and the errors it returns, and record how long each call takes.  The
+ * series for this backend are labelled with "name".
+ */
+function
+metrics_backend_wrap(backend, name)
+{
+	mod_assert.object(backend, 'backend');
+	mod_assert.string(name, 'name');
+
+	metrics_counter('bugview_backend_calls_total',
+	    'Calls to each backend function.');
+	metrics_counter('bugview_backend_errors_total',
+	    'Calls to each backend function which returned an error.');
+	metrics_histogram('bugview_backend_call_duration_seconds',
+	    'Time taken by calls to each backend function.');
+
+	var out = {
+		be_name: backend.be_name
+	};
+
+	Object.keys(backend).forEach(function (k) {
+		if (!k.match(/^be_/) || typeof (backend[k]) !== 'function') {
+			return;
+		}
+
+		var labels = { backend: name, function: k };
+
+		out[k] = function () {
+			var args = Array.prototype.slice.call(arguments);
+			var done = args.pop();
+			var start = Date.now();
+
+			mod_assert.func(done, 'done');
+
+			metrics_inc('bugview_backend_calls_total', labels);
+
+			args.push(function (err) {
+				metrics_observe(
+				    'bugview_backend_call_duration_seconds',
+				    labels, metrics_elapsed(start));
+				if (err) {
+					metrics_inc(
+					    'bugview_backend_errors_total',
+					    labels);
+				}
+
+				done.apply(null, arguments);
+			});
+
+			backend[k].apply(null, args);
+		};
+	});
+
+	return (out);
+}
+
+module.exports = {
+	metrics_counter: metrics_counter,
+	metrics_histogram: metrics_histogram,
+	metrics_inc: metrics_inc,
+	metrics_observe: metrics_observe,
+	metrics_elapsed: metrics_elapsed,
+	metrics_format: metrics_format,
+	metrics_backend_wrap: metrics_backend_wrap
+};
@@ -0,0 +1,153 @@
+/* vim: set ts=8 sts=8 sw=8 noet: */
+
+'use strict';
+
+/*
+ * Links in tickets sometimes point at internal hosts which have a public
+ * equivalent; e.g., a repository on an internal git server which is mirrored
+ * on GitHub.  Rewrite rules map these links to the public location.  Each
+ * rule is an object with the "host" to which it applies, a regular expression
+ * matched against the "path" of the URL, and a "replacement" for the matched
+ * part of the path, which may refer to capture groups as "$1", "$2", etc.  A
+ * rule may also replace the host with "new_host"; e.g.,
+ *
+ *	{
+ *		"host": "mo.joyent.com",
+ *		"path": "^/(illumos-joyent|smartos-live)",
+ *		"new_host": "github.com",
+ *		"replacement": "/joyent/$1"
+ *	}
+ *
+ * The first rule that matches a URL is applied.  The query string and fragment
+ * of the URL are preserved.
+ */
+
+var mod_assert = require('assert-plus');
+var mod_url = require('url');
+var mod_verror = require('verror');
+
+var VE = mod_verror.VError;
+
+/*
+ * The rules used when the configuration has no "url_rewrites" at all, which
+ * map the repositories on the old internal git server to their GitHub
+ * mirrors.  These were built in before the rules could be configured.  An
+ * empty "url_rewrites" list disables them.
+ */
+var DEFAULT_RULES = [
+	{
+		host: 'mo.joyent.com',
+		path: '^/(illumos-joyent|smartos-live|illumos-extra|sdc-napi)',
+		new_host: 'github.com',
+		replacement: '/joyent/$1'
+	},
+	{
+		host: 'mo.joyent.com',
+		path: '^/illumos-live',
+		new_host: 'github.com',
+		replacement: '/joyent/smartos-live'
+	}
+];
+
+var RULES = [];
+
+
+/*
+ * Compile the rules from the "url_rewrites" configuration, or the default
+ * rules if there is none.  Throws if any rule is invalid, in which case the
+ * existing rules are left in place.
+ */
+function
+rewrite_init(rules)
+{
+	mod_assert.optionalArrayOfObject(rules, 'rules');
+
+	if (rules === undefined || rules === null) {
+		rules = DEFAULT_RULES;
+	}
+
+	var compiled = rules.map(function (r, idx) {
+		var pfx = 'url_rewrites[' + idx + ']';
+
+		mod_assert.string(r.host, pfx + '.host');
+		mod_assert.string(r.path, pfx + '.path');
+		mod_assert.string(r.replacement, pfx + '.replacement');
+		mod_assert.optionalString(r.new_host, pfx + '.new_host');
+
+		if (!r.replacement.match(/^\//)) {
+			throw (new VE('%s.replacement must begin with "/"',
+			    pfx));
+		}
+
+		var re;
+		try {
+			re = new RegExp(r.path);
+		} catch (ex) {
+			throw (new VE(ex, '%s.path is invalid', pfx));
+		}
+
+		/*
+		 * Make sure the replacement does not refer to a capture group
+		 * that the expression does not have.
+		 */
+		var ngroups = new RegExp(r.path + '|').exec('').length - 1;
+		var refs = r.replacement.match(/\$[0-9]+/g) || [];
+		refs.forEach(function (ref) {
+			if (Number(ref.substr(1)) > ngroups) {
+				throw (new VE('%s.replacement refers to ' +
+				    '"%s", but the path has %d capture groups',
+				    pfx, ref, ngroups));
+			}
+		});
+
+		return ({
+			rr_host: r.host.toLowerCase(),
+			rr_re: re,
+			rr_new_host: r.new_host || null,
+			rr_replacement: r.replacement
+		});
+	});
+
+	RULES = compiled;
+}
+
+/*
+ * Apply the first matching rule to a URL.  Returns the rewritten URL, and the
+ * index of the rule which was applied (or null if no rule matched, in which
+ * case the URL is returned unmodified).
+ */
+function
+rewrite_url(input)
+{
+	mod_assert.string(input, 'input');
+
+	var url = mod_url.parse(input);
+
+	if (!url.hostname || url.pathname === null) {
+		return ({ url: input, rule: null });
+	}
+
+	for (var i = 0; i < RULES.length; i++) {
+		var r = RULES[i];
+
+		if (r.rr_host !== url.hostname || !r.rr_re.test(url.pathname)) {
+			continue;
+		}
+
+		if (r.rr_new_host !== null) {
+			url.hostname = url.host = r.rr_new_host;
+			url.port = null;
+		}
+		url.pathname = url.pathname.replace(r.rr_re, r.rr_replacement);
+		url.path = url.pathname + (url.search || '');
+
+		return ({ url: mod_url.format(url), rule: i });
+	}
+
+	return ({ url: input, rule: null });
+}
+
+module.exports = {
+	rewrite_init: rewrite_init,
+	rewrite_url: rewrite_url
+};
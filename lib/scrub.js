@@ -0,0 +1,100 @@
+/* vim: set ts=8 sts=8 sw=8 noet: */
+
+'use strict';
+
+/*
+ * Ticket descriptions and comments often contain things we would rather not
+ * publish: internal hostnames, IP addresses, e-mail addresses, signed Manta
+ * URLs, and so on.  The scrubber replaces anything matching one of a list of
+ * configured rules with a redaction marker.  Each rule is an object with a
+ * "name", a regular expression "pattern" and, optionally, regular expression
+ * "flags"; e.g.,
+ *
+ *	{ "name": "email", "pattern": "[^\\s@]+@[^\\s@]+", "flags": "i" }
+ *
+ * Matches are always replaced globally.
+ */
+
+var mod_assert = require('assert-plus');
+var mod_verror = require('verror');
+
+var VE = mod_verror.VError;
+
+/*
+ * The marker should not contain any characters that are meaningful in JIRA
+ * markup (e.g., "[" or "*"), as it is inserted before the markup is rendered.
+ */
+var DEFAULT_MARKER = '<redacted>';
+
+var MARKER = DEFAULT_MARKER;
+var RULES = [];
+
+
+/*
+ * Compile the rules from the "scrub" configuration block.  Throws if any rule
+ * is invalid, in which case the existing rules are left in place.
+ */
+function
+scrub_init(config)
+{
+	mod_assert.object(config, 'config');
+	mod_assert.optionalString(config.marker, 'config.marker');
+	mod_assert.arrayOfObject(config.rules, 'config.rules');
+
+	var rules = config.rules.map(function (r, idx) {
+		var pfx = 'config.rules[' + idx + ']';
+
+		mod_assert.string(r.name, pfx + '.name');
+		mod_assert.string(r.pattern, pfx + '.pattern');
+		mod_assert.optionalString(r.flags, pfx + '.flags');
+
+		var flags = r.flags || '';
+		if (flags.indexOf('g') === -1) {
+			flags += 'g';
+		}
+
+		var re;
+		try {
+			re = new RegExp(r.pattern, flags);
+		} catch (ex) {
+			throw (new VE(ex, 'scrub rule "%s" is invalid',
+			    r.name));
+		}
+
+		if (re.test('')) {
+			throw (new VE('scrub rule "%s" matches the empty ' +
+			    'string', r.name));
+		}
+
+		return ({ sr_name: r.name, sr_re: re });
+	});
+
+	MARKER = config.marker || DEFAULT_MARKER;
+	RULES = rules;
+}
+
+/*
+ * Apply each rule to a string.  Returns the scrubbed string and the number
+ * of replacements made by each rule that matched.
+ */
+function
+scrub_text(str)
+{
+	mod_assert.string(str, 'str');
+
+	var counts = {};
+
+	RULES.forEach(function (r) {
+		str = str.replace(r.sr_re, function () {
+			counts[r.sr_name] = (counts[r.sr_name] || 0) + 1;
+			return (MARKER);
+		});
+	});
+
+	return ({ text: str, counts: counts });
+}
+
+module.exports = {
+	scrub_init: scrub_init,
+	scrub_text: scrub_text
+};
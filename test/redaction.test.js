@@ -0,0 +1,373 @@
+/* vim: set ts=8 sts=8 sw=8 noet: */
+
+'use strict';
+
+/*
+ * Check that the "redaction" policy is applied to the HTML and JSON views of
+ * an issue, and that nothing else from the issue leaks into them.  The issue
+ * below carries a good deal more than we publish: extra fields, URLs for the
+ * JIRA API, e-mail addresses and usernames.
+ */
+
+var mod_assert = require('assert');
+
+process.env.LOG_LEVEL = 'fatal';
+
+var jirapub = require('../jirapub');
+
+var EMAILS = [
+	'jsmith@example.com',
+	'mjones@example.com',
+	'pwhite@example.com'
+];
+var USERNAMES = [
+	'jsmith',
+	'mjones',
+	'pwhite'
+];
+var DISPLAY_NAMES = [
+	'John Smith',
+	'Mary Jones',
+	'Peter White'
+];
+
+/*
+ * Strings which must never appear in either view, whatever the policy.
+ */
+var NEVER = [
+	'https://jira.example.com/rest',
+	'avatar.png',
+	'Australia/Sydney',
+	'secret-custom-value',
+	'secret-environment',
+	'secret-restricted-comment',
+	'secret.tar.gz',
+	'secret-watcher',
+	'secret-worklog'
+];
+
+/*
+ * The only fields which may appear in the JSON view of an issue, and the only
+ * keys which may appear for a person.
+ */
+var FIELDS = [
+	'summary', 'issuetype', 'priority', 'status', 'created', 'updated',
+	'creator', 'reporter', 'assignee', 'resolution', 'resolutiondate',
+	'fixVersions', 'issuelinks', 'parent', 'subtasks', 'epic', 'labels',
+	'attachment', 'description', 'comment'
+];
+var PERSON_KEYS = [ 'name', 'key', 'emailAddress', 'displayName' ];
+
+var CONFIG = {
+	url: { base: 'https://jira.example.com', path: '/rest/api/2' },
+	username: 'user',
+	password: 'password',
+	label: 'public',
+	port: 8080,
+	http_proto: 'http',
+	allowed_labels: [ 'bhyve' ],
+	attachments: { mime_types: [ 'text/plain' ], max_bytes: 1000 }
+};
+
+
+function
+person(idx)
+{
+	return ({
+		self: 'https://jira.example.com/rest/api/2/user?username=' +
+		    USERNAMES[idx],
+		name: USERNAMES[idx],
+		key: USERNAMES[idx],
+		emailAddress: EMAILS[idx],
+		displayName: DISPLAY_NAMES[idx],
+		avatarUrls: { '48x48': 'https://jira.example.com/avatar.png' },
+		active: true,
+		timeZone: 'Australia/Sydney'
+	});
+}
+
+function
+make_issue()
+{
+	return ({
+		id: '10001',
+		key: 'OS-1',
+		self: 'https://jira.example.com/rest/api/2/issue/10001',
+		fields: {
+			summary: 'a bug',
+			labels: [ 'public', 'bhyve', 'secret-label' ],
+			issuetype: { id: '1', name: 'Bug',
+			    self: 'https://jira.example.com/rest/api/2/type/1',
+			    iconUrl: 'https://jira.example.com/avatar.png' },
+			priority: { id: '2', name: 'Critical' },
+			status: { id: '6', name: 'Resolved' },
+			resolution: { id: '1', name: 'Fixed' },
+			created: '2019-02-01T10:00:00.000+0000',
+			updated: '2019-02-15T10:00:00.000+0000',
+			resolutiondate: '2019-02-15T10:00:00.000+0000',
+			creator: person(0),
+			reporter: person(1),
+			assignee: person(2),
+			fixVersions: [ { id: '10', name: '2019-03-01',
+			    released: true, releaseDate: '2019-03-01',
+			    self: 'https://jira.example.com/rest/api/2/v/10' } ],
+			issuelinks: [],
+			subtasks: [],
+			description: 'The frobnicator is broken.',
+			environment: 'secret-environment',
+			customfield_10000: 'secret-custom-value',
+			watches: { watchers: [ 'secret-watcher' ] },
+			worklog: { worklogs: [ { comment: 'secret-worklog',
+			    author: person(0) } ] },
+			attachment: [ {
+				id: '7001',
+				filename: 'notes.txt',
+				author: person(2),
+				created: '2019-02-02T10:00:00.000+0000',
+				size: 100,
+				mimeType: 'text/plain',
+				content: 'https://jira.example.com/rest/a/7001'
+			}, {
+				id: '7002',
+				filename: 'secret.tar.gz',
+				author: person(2),
+				created: '2019-02-02T10:00:00.000+0000',
+				size: 100,
+				mimeType: 'application/gzip',
+				content: 'https://jira.example.com/rest/a/7002'
+			} ],
+			comment: {
+				startAt: 0,
+				maxResults: 2,
+				total: 2,
+				comments: [ {
+					id: '1',
+					self: 'https://jira.example.com/' +
+					    'rest/api/2/comment/1',
+					author: person(1),
+					updateAuthor: person(2),
+					body: 'It is fixed now.',
+					created: '2019-02-03T10:00:00.000+0000',
+					updated: '2019-02-03T10:00:00.000+0000'
+				}, {
+					id: '2',
+					author: person(0),
+					body: 'secret-restricted-comment',
+					created: '2019-02-04T10:00:00.000+0000',
+					visibility: { type: 'role',
+					    value: 'Developers' }
+				} ]
+			}
+		},
+		changelog: {
+			startAt: 0,
+			maxResults: 1,
+			total: 1,
+			histories: [ {
+				id: '100',
+				author: person(2),
+				created: '2019-02-15T10:00:00.000+0000',
+				items: [ {
+					field: 'status',
+					fromString: 'Open',
+					toString: 'Resolved'
+				}, {
+					field: 'assignee',
+					from: USERNAMES[0],
+					fromString: DISPLAY_NAMES[0],
+					to: USERNAMES[2],
+					toString: DISPLAY_NAMES[2]
+				} ]
+			} ]
+		}
+	});
+}
+
+/*
+ * Produce the JSON and HTML views of the issue, and the JSON view of its
+ * history, with the provided "redaction" policy.
+ */
+function
+render(redaction)
+{
+	var c = JSON.parse(JSON.stringify(CONFIG));
+	if (redaction !== null) {
+		c.redaction = redaction;
+	}
+
+	mod_assert.deepEqual(jirapub.use_config(c), []);
+
+	var issue = make_issue();
+	var fi = jirapub.format_issue_assemble(issue, [], 0, {});
+
+	return ({
+		issue: fi.issue,
+		json: JSON.stringify(fi),
+		html: jirapub.format_issue_finalise(fi.issue, fi.remotelinks,
+		    fi.hidden_remotelinks, {}),
+		history: JSON.stringify(
+		    jirapub.format_issue_history_assemble(issue))
+	});
+}
+
+function
+people(issue)
+{
+	var out = [ issue.fields.creator, issue.fields.reporter,
+	    issue.fields.assignee ];
+
+	if (issue.fields.comment) {
+		issue.fields.comment.comments.forEach(function (com) {
+			out.push(com.author, com.updateAuthor);
+		});
+	}
+
+	return (out.filter(function (p) {
+		return (p !== undefined);
+	}));
+}
+
+function
+assert_absent(r, strings)
+{
+	strings.forEach(function (str) {
+		[ 'json', 'html', 'history' ].forEach(function (view) {
+			mod_assert.strictEqual(r[view].indexOf(str), -1,
+			    JSON.stringify(str) + ' appears in ' + view);
+		});
+	});
+}
+
+/*
+ * Whatever the policy, only the fields and person keys we know about appear,
+ * and none of the issue's other contents.
+ */
+function
+assert_no_leaks(r)
+{
+	Object.keys(r.issue.fields).forEach(function (k) {
+		mod_assert.notStrictEqual(FIELDS.indexOf(k), -1,
+		    'unexpected field ' + k);
+	});
+
+	people(r.issue).forEach(function (p) {
+		Object.keys(p).forEach(function (k) {
+			mod_assert.notStrictEqual(PERSON_KEYS.indexOf(k), -1,
+			    'unexpected person key ' + k);
+		});
+	});
+
+	r.issue.fields.attachment.forEach(function (att) {
+		mod_assert.strictEqual(att.author, undefined);
+		mod_assert.strictEqual(att.content, undefined);
+	});
+
+	assert_absent(r, NEVER);
+	mod_assert.deepEqual(r.issue.fields.labels, [ 'bhyve' ]);
+}
+
+var TESTS = [ {
+	name: 'no redaction policy',
+	redaction: null,
+	check: function (r) {
+		assert_no_leaks(r);
+
+		mod_assert.strictEqual(people(r.issue).length, 5);
+		mod_assert.strictEqual(r.issue.fields.assignee.emailAddress,
+		    EMAILS[2]);
+		mod_assert.strictEqual(r.issue.fields.assignee.name,
+		    USERNAMES[2]);
+		mod_assert.strictEqual(r.issue.fields.comment.comments.length,
+		    1);
+		mod_assert.notStrictEqual(r.history.indexOf('Resolved'), -1);
+		mod_assert.notStrictEqual(
+		    r.history.indexOf('"truncated":false'), -1);
+		mod_assert.notStrictEqual(r.html.indexOf(DISPLAY_NAMES[2]), -1);
+	}
+}, {
+	name: 'hide_email_addresses',
+	redaction: { hide_email_addresses: true },
+	check: function (r) {
+		assert_no_leaks(r);
+		assert_absent(r, EMAILS);
+
+		mod_assert.strictEqual(people(r.issue).length, 5);
+		mod_assert.strictEqual(r.issue.fields.assignee.name,
+		    USERNAMES[2]);
+	}
+}, {
+	name: 'usernames_as_display_names',
+	redaction: { usernames_as_display_names: true },
+	check: function (r) {
+		assert_no_leaks(r);
+		assert_absent(r, USERNAMES.map(function (u) {
+			return ('"' + u + '"');
+		}));
+
+		people(r.issue).forEach(function (p) {
+			mod_assert.strictEqual(p.name, p.displayName);
+			mod_assert.strictEqual(p.key, p.displayName);
+		});
+	}
+}, {
+	name: 'drop_people',
+	redaction: { drop_people: true },
+	check: function (r) {
+		assert_no_leaks(r);
+		assert_absent(r, EMAILS.concat(USERNAMES, DISPLAY_NAMES));
+
+		mod_assert.strictEqual(people(r.issue).length, 0);
+		mod_assert.strictEqual(r.issue.fields.comment.comments.length,
+		    1);
+	}
+}, {
+	name: 'every option',
+	redaction: { hide_email_addresses: true, drop_people: true,
+	    usernames_as_display_names: true },
+	check: function (r) {
+		assert_no_leaks(r);
+		assert_absent(r, EMAILS.concat(USERNAMES, DISPLAY_NAMES));
+	}
+}, {
+	name: 'hide_fields',
+	redaction: { hide_fields: [ 'priority', 'assignee', 'status',
+	    'attachment', 'comment', 'labels' ] },
+	check: function (r) {
+		[ 'priority', 'assignee', 'status', 'attachment',
+		    'comment', 'labels' ].forEach(function (k) {
+			mod_assert.ok(!r.issue.fields.hasOwnProperty(k),
+			    k + ' is hidden');
+		});
+
+		mod_assert.strictEqual(r.issue.fields.reporter.name,
+		    USERNAMES[1]);
+		mod_assert.strictEqual(r.issue.fields.resolution.name, 'Fixed');
+
+		assert_absent(r, [ 'Critical', 'notes.txt', 'It is fixed',
+		    DISPLAY_NAMES[2] + '<', '"Resolved"' ]);
+		mod_assert.strictEqual(r.html.indexOf('Resolved'), -1);
+		mod_assert.strictEqual(r.html.indexOf('bhyve'), -1);
+	}
+} ];
+
+TESTS.forEach(function (t) {
+	t.check(render(t.redaction));
+	console.log('ok - %s', t.name);
+});
+
+/*
+ * A changelog which JIRA returned only part of must be noted as such on the
+ * history page.
+ */
+(function () {
+	mod_assert.deepEqual(jirapub.use_config(CONFIG), []);
+
+	var issue = make_issue();
+	issue.changelog.total = 150;
+
+	var history = jirapub.format_issue_history_assemble(issue);
+	mod_assert.strictEqual(history.truncated, true);
+	mod_assert.notStrictEqual(jirapub.format_issue_history_finalise(
+	    issue, history).indexOf('This history is incomplete'), -1);
+	console.log('ok - truncated history');
+})();